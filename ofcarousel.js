@@ -14,11 +14,108 @@
  *   - gap: item間隔（デフォルト: '16px'）
  *   - aspect: item のアスペクト比（デフォルト: 1）
  *   - aspectAuto: コンテンツに応じて高さを自動調整（デフォルト: false）
+ *   - autoWidth: スライドの幅を itemsVisible で揃えず、コンテンツの幅のまま並べる（デフォルト: false）
  *   - infinite: 無限ループ（デフォルト: true）
+ *   - slidesToScroll: ボタン・キーボード・オートプレイで移動するスライド数、'page' で itemsVisible 分（デフォルト: 1）
+ *   - align: スナップ位置 'start' | 'center'（デフォルト: 'start'）
+ *   - effect: 切り替え方 'scroll' | 'fade' | 任意の名前（スライドを重ねて CSS で切り替え）（デフォルト: 'scroll'）
+ *   - effectDuration: effect の切り替え時間（ミリ秒、デフォルト: --ofc-effect-duration または 500）
+ *   - dots: ページネーション false | true（'bullets'） | 'numbers' | 'thumbs' | 'fraction' | 'progress'（デフォルト: false）
+ *   - dotsRender: 各 dot の中身を返す関数 (index, slide, item) => string | Node（item は items 指定時のデータ）
+ *   - dotsContainer: dots を配置する要素（セレクター・要素、デフォルト: .ofc-navs 内）
+ *   - dotsDynamic: 選択中の dot の前後だけを表示する数 false | true（5） | number（デフォルト: false）
+ *   - draggable: マウスのドラッグでスクロール（慣性・スナップ付き）（デフォルト: false）
+ *   - asNavFor: 連動させるカルーセル（セレクター・要素・インスタンス、または配列）。このカルーセルの選択に追従させ、スライドのクリックで移動させる
+ *   - lazy: 画像（data-src / data-srcset）と <template> の中身を表示範囲に近づいてから読み込む（デフォルト: false）
+ *   - lazyPreload: lazy で表示範囲の前後に先読みするスライド数（デフォルト: 1）
+ *   - items: スライドのデータの配列。指定すると表示範囲付近のスライドだけを renderItem で描画する（デフォルト: undefined）
+ *   - renderItem: items の各データのスライドを返す関数 (item, index) => string | Node
+ *   - virtualBuffer: items で表示範囲の前後に描画しておくスライド数（デフォルト: 3）
+ *   - wheel: マウスホイール・トラックパッドの操作 false | true（縦ホイールで横にスクロール） | 'step'（1ジェスチャーで1スライド）（デフォルト: false）
+ *   - orientation: スクロール方向 'horizontal' | 'vertical'（デフォルト: 'horizontal'）
+ *   - responsive: ブレークポイントごとの設定（全オプション指定可、キーは px 値またはメディアクエリ）
+ *   - mobileFirst: responsive の数値キーを min-width として扱う（デフォルト: false = max-width）
+ *   - responsiveBase: ブレークポイントの判定基準 'window' | 'container'（デフォルト: 'window'）
+ *   - autoplayMode: オートプレイの動き 'step'（1スライドずつ） | 'continuous'（一定速度で流れ続ける）（デフォルト: 'step'）
+ *   - autoplaySpeed: continuous の速度（px/秒、デフォルト: 50）
+ *   - autoplayDirection: オートプレイの方向 'next' | 'prev'（デフォルト: 'next'）
+ *   - autoplayEnd: infinite: false で端に達したとき 'stop' | 'rewind' | 'pingpong'（デフォルト: 'stop'）
+ *   - autoplayRewind: rewind の移動 'smooth' | 'instant'（デフォルト: 'smooth'）
+ *   - autoplayProgress: 進捗インジケーターを生成 false | 'bar' | 'ring'（デフォルト: false）
+ *   - autoplayButton: オートプレイの再生・一時停止ボタンを生成（デフォルト: false）
+ *   - labels: 支援技術向けのラベル（例: { slide: 'スライド', slideLabel: '{index} / {total}' }）
+ *   - on: イベントハンドラ（例: { change: (detail) => {} }）
+ *
+ * イベント:
+ *   on()/off() で購読するか、ルート要素の CustomEvent（'ofc:' + イベント名）を監視する
+ *   init, beforeChange, change, scrollstart, scrollend, breakpoint, resize,
+ *   autoplay:pause, autoplay:resume, autoplay:end, destroy
  */
 
 // 定数
 const SCROLL_DEBOUNCE_DELAY = 100; // スクロール終了検出のデバウンス時間（ミリ秒）
+const RESTORE_ATTRIBUTES = [ // destroy() で元に戻す属性
+  'class', 'style', 'id', 'role', 'tabindex', 'inert',
+  'aria-hidden', 'aria-label', 'aria-roledescription', 'aria-controls', 'aria-selected', 'aria-current'
+];
+const INSTANCES = new WeakMap(); // ルート要素 → インスタンス（二重初期化防止）
+const ID_REF_ATTRIBUTES = ['for', 'aria-labelledby', 'aria-describedby', 'aria-controls', 'aria-owns']; // クローン内で id を参照する属性
+const NUMERIC_BREAKPOINT = /^\d+(\.\d+)?$/; // responsive の数値キー（それ以外はメディアクエリ）
+const SUPPORTS_INERT = typeof HTMLElement !== 'undefined' && 'inert' in HTMLElement.prototype;
+const SUPPORTS_PROPERTY_TRANSITION = typeof CSS !== 'undefined' && typeof CSS.registerProperty === 'function'; // @property で登録したカスタムプロパティの補間
+const REDUCED_MOTION_QUERY = '(prefers-reduced-motion: reduce)';
+const DRAG_THRESHOLD = 5; // ドラッグとして扱う最小移動距離（px、これ未満はクリック）
+const DRAG_MOMENTUM = 200; // 離した時の速度で慣性移動する時間（ミリ秒相当）
+const WHEEL_THRESHOLD = 30; // wheel: 'step' で移動するホイールの累積量（px）
+const WHEEL_GESTURE_GAP = 150; // これ以上間隔が空いたホイールイベントは新しいジェスチャー（ミリ秒）
+const WHEEL_COOLDOWN = 500; // wheel: 'step' で移動してから次の移動を受け付けるまでの最短時間（ミリ秒）
+const SWIPE_THRESHOLD = 40; // effect で次・前へ切り替えるスワイプの最小距離（px）
+const FOCUSABLE_SELECTOR = 'a[href], area[href], button, input, select, textarea, iframe, [tabindex], [contenteditable="true"]';
+
+// 支援技術向けのラベル（labels オプションで上書き、{index} / {total} は置換される）
+const DEFAULT_LABELS = {
+  carousel: 'carousel',               // ルートの aria-roledescription
+  carouselLabel: 'Carousel',          // ルートの aria-label（aria-label / aria-labelledby 未指定時）
+  slide: 'slide',                     // スライドの aria-roledescription
+  slideLabel: '{index} of {total}',   // スライドの aria-label
+  prev: 'Previous slide',             // 前ボタン（aria-label 未指定時）
+  next: 'Next slide',                 // 次ボタン（aria-label 未指定時）
+  dots: 'Carousel navigation dots',   // dots（tablist）
+  dot: 'Go to slide {index}',         // 各 dot（tab）
+  page: 'Go to page {index}',         // slidesToScroll が 2 以上の場合の各 dot
+  autoplay: 'Autoplay',               // オートプレイの再生・一時停止ボタン（aria-pressed で状態を表す）
+  live: 'Slide {index} of {total}'    // スライド変更時の読み上げ
+};
+
+let instanceCount = 0; // 生成する id の接頭辞用
+
+// RTL での scrollLeft の表現はブラウザによって異なるため、一度だけ判定してキャッシュ
+// - 'negative': 先頭が 0、終端に向かって負の値（仕様準拠。現行の Chrome / Firefox / Safari）
+// - 'reverse': 先頭が 0、終端に向かって正の値（旧 Edge / IE）
+// - 'default': 先頭が最大値、終端に向かって 0 に近づく（旧 Chrome）
+let rtlScrollType = null;
+function getRtlScrollType() {
+  if (rtlScrollType) return rtlScrollType;
+  const outer = document.createElement('div');
+  const inner = document.createElement('div');
+  outer.dir = 'rtl';
+  outer.style.cssText = 'position:absolute;top:-1000px;width:4px;height:1px;overflow:scroll;visibility:hidden';
+  inner.style.cssText = 'width:8px;height:1px';
+  outer.appendChild(inner);
+  document.body.appendChild(outer);
+
+  rtlScrollType = 'reverse';
+  if (outer.scrollLeft > 0) {
+    rtlScrollType = 'default';
+  } else {
+    outer.scrollLeft = 1;
+    if (outer.scrollLeft === 0) {
+      rtlScrollType = 'negative';
+    }
+  }
+  outer.remove();
+  return rtlScrollType;
+}
 
 class OverflowCarousel {
   constructor(selectorOrElement, options = {}) {
@@ -34,12 +131,36 @@ class OverflowCarousel {
       return;
     }
 
+    // 同じ要素で初期化済みの場合は既存インスタンスを返す（クローンの二重生成を防ぐ）
+    const existing = INSTANCES.get(this.root);
+    if (existing) {
+      console.warn('OverflowCarousel: already initialized on this element, returning the existing instance');
+      return existing;
+    }
+    INSTANCES.set(this.root, this);
+    this.root.overflowCarousel = this;
+    this._idPrefix = `ofc-${++instanceCount}`;
+    this._idSeq = 0;
+
+    // destroy() で元の DOM に戻すため、変更前の属性を記録
+    this._domSnapshot = new Map();
+    this._snapshotElement(this.root);
+    this._snapshotElement(this.root.querySelector('.ofc-viewport'));
+    this._snapshotElement(this.root.querySelector('.ofc-track'));
+    this._snapshotElement(this.root.querySelector('.ofc-nav.ofc-prev'));
+    this._snapshotElement(this.root.querySelector('.ofc-nav.ofc-next'));
+
+    // lazy: 実スライドごとの読み込み状態（クローンは元のスライドの状態を共有）
+    this._lazyStates = new WeakMap();
+    this._cloneSources = new WeakMap();
+
     // Read CSS variables from computed style (including :root defaults)
     const computedStyle = getComputedStyle(this.root);
     const cssVarItemsVisible = computedStyle.getPropertyValue('--ofc-items-visible').trim();
     const cssVarPeek = computedStyle.getPropertyValue('--ofc-peek').trim();
     const cssVarGap = computedStyle.getPropertyValue('--ofc-gap').trim();
     const cssVarAspect = computedStyle.getPropertyValue('--ofc-aspect-ratio').trim();
+    const cssVarEffectDuration = computedStyle.getPropertyValue('--ofc-effect-duration').trim();
 
     // Options: CSS variables as defaults, JS options override them
     this.options = {
@@ -49,16 +170,50 @@ class OverflowCarousel {
       gap: cssVarGap || '5px',
       aspect: parseFloat(cssVarAspect) || 1.78,
       aspectAuto: false,  // If true, height is determined by content instead of aspect ratio
+      autoWidth: false,  // true: スライドごとの幅（縦方向では高さ）をコンテンツに合わせる
+      orientation: 'horizontal',  // 'horizontal' | 'vertical'
+      align: 'start',  // 'start' | 'center'
+      effect: 'scroll',  // 'scroll' | 'fade' | 任意の名前（.ofcarousel--effect-{name} の CSS で切り替え）
+      effectDuration: cssVarEffectDuration ? this._parseDuration(cssVarEffectDuration) : 500,  // ミリ秒
       infinite: true,
-      dots: false,
+      slidesToScroll: 1,  // number | 'page'
+      dots: false,  // true | 'bullets' | 'numbers' | 'thumbs' | 'fraction' | 'progress'
+      dotsRender: undefined,  // (index, slide, item) => string | Node: 各 dot の中身
+      dotsContainer: undefined,  // dots を配置する要素（セレクター | 要素）
+      dotsDynamic: false,  // true | number: 表示する dot の数（離れた dot を畳む、true は 5）
+      draggable: false,  // true: マウスのドラッグでスクロール
+      wheel: false,  // true: 縦ホイールを横スクロールに変換 / 'step': 1ジェスチャーで1スライド（slidesToScroll 分）
+      asNavFor: undefined,  // 連動させるカルーセル: セレクター | 要素 | OverflowCarousel | それらの配列
+      lazy: false,  // true: data-src / data-srcset / <template> を表示範囲に近づいてから読み込む
+      lazyPreload: 1,  // lazy で表示範囲の前後に先読みするスライド数
+      items: undefined,  // スライドのデータの配列（指定すると表示範囲付近のスライドだけを描画）
+      renderItem: undefined,  // (item, index) => string | Node: items の各データのスライド
+      virtualBuffer: 3,  // items で表示範囲の前後に描画しておくスライド数
       autoplay: false,
       autoplayInterval: 3000,
+      autoplayMode: 'step',  // 'step' | 'continuous'
+      autoplaySpeed: 50,  // continuous の速度（px/秒）
+      autoplayDirection: 'next',  // 'next' | 'prev'
+      autoplayEnd: 'stop',  // infinite: false で端に達したとき 'stop' | 'rewind' | 'pingpong'
+      autoplayRewind: 'smooth',  // rewind の移動 'smooth' | 'instant'
       pauseOnHover: true,
       pauseOnFocus: true,
       pauseOnVisibility: true,
+      autoplayButton: false,  // true: 再生・一時停止ボタンを .ofc-navs に生成
+      autoplayProgress: false,  // 'bar' | 'ring': 進捗インジケーターを生成（--ofc-progress は常に更新）
       responsive: undefined,  // { breakpoint: { itemsVisible, peekRatio, peek, ... } }
+      mobileFirst: false,  // true: responsive の数値キーを min-width として扱う
+      responsiveBase: 'window',  // 'window': 画面幅 / 'container': カルーセル自身の幅でブレークポイントを判定
+      labels: undefined,  // DEFAULT_LABELS の一部を上書き
+      on: undefined,  // { eventName: handler }
       ...options  // JS options have highest priority
     };
+
+    // イベントハンドラ（on()/off() で管理）
+    this._listeners = new Map();
+    if (this.options.on) {
+      Object.keys(this.options.on).forEach(name => this.on(name, this.options.on[name]));
+    }
     
     // 元のオプションを保存（レスポンシブ設定適用時に参照）
     this._baseOptions = { ...this.options };
@@ -79,17 +234,52 @@ class OverflowCarousel {
     if (options.aspect !== undefined) {
       this.root.style.setProperty('--ofc-aspect-ratio', this.options.aspect.toString());
     }
+    if (options.effectDuration !== undefined) {
+      this.root.style.setProperty('--ofc-effect-duration', `${this.options.effectDuration}ms`);
+    }
     
     // If aspectAuto is enabled, add class to remove aspect-ratio constraint
     if (this.options.aspectAuto) {
       this.root.classList.add('ofcarousel--aspect-auto');
     }
+
+    // 縦方向の場合は track を縦並びにし、y 軸でスナップ
+    if (this._isVertical()) {
+      this.root.classList.add('ofcarousel--vertical');
+    }
+
+    // 中央揃えの場合はスライドの中央でスナップ
+    if (this._isCentered()) {
+      this.root.classList.add('ofcarousel--center');
+    }
+
+    // 可変幅のスライド
+    if (this._isAutoWidth()) {
+      this.root.classList.add('ofcarousel--auto-width');
+    }
+
+    // スクロール以外の effect ではスライドを重ねて表示
+    if (this._isStacked()) {
+      this.root.classList.add('ofcarousel--stacked', this._getEffectClass());
+    }
+
+    // 書字方向（dir="rtl"）を判定
+    this._detectDirection();
     
     // ピクセル値をキャッシュ（後で viewport 利用可能後に再計算）
     this._gapPx = this._parsePixels(this.options.gap);
 
-    // 無限ループの設定（有効な場合、全スライドを左右に複製）
-    if (this.options.infinite) {
+    // items: データから表示範囲付近のスライドだけを描画
+    if (this._isVirtual()) {
+      this._setupVirtual();
+    }
+
+    // effect（fade など）ではスクロールせず、重ねたスライドを切り替える
+    if (this._isStacked()) {
+      this._setupStackedMode();
+    }
+    // 無限ループの設定（有効な場合、表示範囲を埋める数のスライドを左右に複製）
+    else if (this.options.infinite) {
       this._setupInfiniteLoop();
       this._setupScrollJump();
     } else {
@@ -104,6 +294,25 @@ class OverflowCarousel {
     // コントロール（ボタン・キーボード）の設定
     this._setupControls();
 
+    // マウスのドラッグ
+    if (this.options.draggable) {
+      this._setupDrag();
+    }
+
+    // マウスホイール・トラックパッド
+    if (this.options.wheel) {
+      this._setupWheel();
+    }
+
+    // 連動するカルーセル（サムネイルのクリックで移動）
+    this._selectedIndex = 0;
+    if (this.options.asNavFor) {
+      this._setupNav();
+    }
+
+    // WAI-ARIA（role・ラベル・ライブリージョン）
+    this._setupA11y();
+
     // オートプレイ
     this._setupAutoplay();
 
@@ -111,27 +320,78 @@ class OverflowCarousel {
     this._setupResizeHandler();
 
     // スクロール方向検出用の変数を初期化
-    this._lastScrollLeft = 0;
+    this._lastScrollPos = 0;
+
+    // change イベント用の現在インデックス
+    this._currentIndex = 0;
 
     // Initialized
+    this._emit('init', { index: this._currentIndex });
+  }
+
+  /**
+   * イベントハンドラを登録
+   * ハンドラは detail オブジェクトを引数に、this をインスタンスとして呼ばれる
+   * @param {string} name イベント名（例: 'change'）
+   * @param {Function} handler
+   * @returns {OverflowCarousel}
+   */
+  on(name, handler) {
+    if (typeof handler !== 'function') return this;
+    if (!this._listeners.has(name)) {
+      this._listeners.set(name, new Set());
+    }
+    this._listeners.get(name).add(handler);
+    return this;
+  }
+
+  /**
+   * イベントハンドラを解除（handler 省略時はそのイベントの全ハンドラを解除）
+   * @param {string} name
+   * @param {Function} [handler]
+   * @returns {OverflowCarousel}
+   */
+  off(name, handler) {
+    const handlers = this._listeners.get(name);
+    if (!handlers) return this;
+    if (handler) {
+      handlers.delete(handler);
+    } else {
+      handlers.clear();
+    }
+    return this;
+  }
+
+  _emit(name, detail = {}) {
+    // on() で登録されたハンドラを呼び出し
+    const handlers = this._listeners.get(name);
+    if (handlers) {
+      Array.from(handlers).forEach(handler => handler.call(this, detail));
+    }
+
+    // ルート要素に CustomEvent を発火（外部から addEventListener で購読可能）
+    if (this.root) {
+      this.root.dispatchEvent(new CustomEvent(`ofc:${name}`, {
+        bubbles: true,
+        detail: { ...detail, carousel: this }
+      }));
+    }
   }
 
   _applyResponsiveSettings() {
     // レスポンシブ設定がない場合は何もしない
     if (!this._baseOptions.responsive) return;
 
-    const viewportWidth = window.innerWidth;
-    
-    // ブレークポイントを降順でソート（大きい方から小さい方へ）
-    // max-width方式: 画面幅がブレークポイント以下のとき、そのブレークポイントの設定を適用
-    const breakpoints = Object.keys(this._baseOptions.responsive)
-      .map(Number)
-      .sort((a, b) => b - a);
-    
-    // 変更前の値を記録
-    const oldItemsVisible = this.options.itemsVisible;
-    const oldPeekRatio = this.options.peekRatio;
-    const oldPeek = this.options.peek;
+    const responsive = this._baseOptions.responsive;
+    // 数値キーの判定基準: 画面幅、または container の場合はカルーセル自身の幅（コンテナクエリ相当）
+    const viewportWidth = this._baseOptions.responsiveBase === 'container'
+      ? this.root.clientWidth
+      : window.innerWidth;
+
+    // キーは数値（ピクセル幅）またはメディアクエリ文字列（例: '(orientation: portrait)'）
+    const keys = Object.keys(responsive);
+    const numericKeys = keys.filter(key => NUMERIC_BREAKPOINT.test(key));
+    const mediaQueryKeys = keys.filter(key => !NUMERIC_BREAKPOINT.test(key));
     
     // ベース設定にリセット（responsive以外）
     const baseKeys = Object.keys(this._baseOptions).filter(key => key !== 'responsive');
@@ -150,20 +410,36 @@ class OverflowCarousel {
       this.root.style.setProperty('--ofc-gap', this._baseOptions.gap);
     }
     
-    // 現在の画面幅に合うブレークポイントを探して適用
-    // 降順ソートされているので、大きい方から順にチェックし、
-    // viewportWidth以下の最初（=最小）のブレークポイントを適用
-    let appliedBreakpoint = null;
-    for (const breakpoint of breakpoints) {
-      if (viewportWidth <= breakpoint) {
-        appliedBreakpoint = breakpoint;
-        // 継続して、より小さいブレークポイントがないかチェック
+    // 数値キー: 現在の画面幅に合うブレークポイントを1つだけ適用
+    // - max-width方式（デフォルト）: 画面幅がブレークポイント以下のもののうち最小
+    // - min-width方式（mobileFirst: true）: 画面幅がブレークポイント以上のもののうち最大
+    let numericKey = null;
+    numericKeys.forEach(key => {
+      const breakpoint = Number(key);
+      if (this._baseOptions.mobileFirst) {
+        if (viewportWidth >= breakpoint && (numericKey === null || breakpoint > Number(numericKey))) {
+          numericKey = key;
+        }
+      } else if (viewportWidth <= breakpoint && (numericKey === null || breakpoint < Number(numericKey))) {
+        numericKey = key;
       }
-    }
+    });
+
+    // メディアクエリ: マッチするものすべてを記述順に適用（数値キーの設定より優先）
+    const appliedKeys = numericKey !== null ? [numericKey] : [];
+    mediaQueryKeys.forEach(query => {
+      if (window.matchMedia(query).matches) {
+        appliedKeys.push(query);
+      }
+    });
     
     // マッチしたブレークポイントの設定を適用
-    if (appliedBreakpoint !== null) {
-      const settings = this._baseOptions.responsive[appliedBreakpoint];
+    appliedKeys.forEach(key => {
+      // responsive の入れ子と on は対象外
+      const settings = { ...responsive[key] };
+      delete settings.responsive;
+      delete settings.on;
+
       // レスポンシブ設定をマージ
       Object.assign(this.options, settings);
       
@@ -177,27 +453,36 @@ class OverflowCarousel {
       if (settings.gap !== undefined) {
         this.root.style.setProperty('--ofc-gap', settings.gap);
       }
-    }
-    
-    // 変更があった場合のみログ出力（1行で簡潔に）
-    const changed = oldItemsVisible !== this.options.itemsVisible || 
-                    oldPeekRatio !== this.options.peekRatio ||
-                    oldPeek !== this.options.peek;
+    });
     
-    if (changed) {
-      const bp = appliedBreakpoint ? `${appliedBreakpoint}px` : 'default';
-      console.log(`🔄 [${bp}] items: ${oldItemsVisible}→${this.options.itemsVisible}, peekRatio: ${oldPeekRatio}→${this.options.peekRatio}`);
+    // ブレークポイントが切り替わった場合はイベントを発火（初回適用時は除く）
+    // to: 最後に適用したキー（数値キーは数値、なければ null）、breakpoints: 適用したキーすべて
+    const toBreakpoint = key => (NUMERIC_BREAKPOINT.test(key) ? Number(key) : key);
+    const activeId = appliedKeys.join('|');
+    if (this._activeBreakpoints !== undefined && this._activeBreakpointsId !== activeId) {
+      const last = list => (list.length ? list[list.length - 1] : null);
+      this._emit('breakpoint', {
+        from: last(this._activeBreakpoints),
+        to: last(appliedKeys.map(toBreakpoint)),
+        breakpoints: appliedKeys.map(toBreakpoint)
+      });
     }
+    this._activeBreakpoints = appliedKeys.map(toBreakpoint);
+    this._activeBreakpointsId = activeId;
   }
 
   _ensureSlideElements() {
     // Add .ofc-slide class to direct children of .ofc-track if they don't have it
-    if (!this.track) return;
+    // items では描画したスライド以外に子要素（スペーサー）があるため対象外
+    if (!this.track || this._isVirtual()) return;
     
     const directChildren = Array.from(this.track.children);
     let added = false;
     
     directChildren.forEach(child => {
+      // 後から追加されたスライドも destroy() で復元できるよう記録
+      this._snapshotElement(child);
+
       // Skip if already has .ofc-slide class
       if (child.classList.contains('ofc-slide')) {
         return;
@@ -213,6 +498,35 @@ class OverflowCarousel {
     }
   }
 
+  _snapshotElement(el) {
+    if (!el || this._domSnapshot.has(el)) return;
+    const attrs = {};
+    RESTORE_ATTRIBUTES.forEach(name => {
+      attrs[name] = el.getAttribute(name);
+    });
+    this._domSnapshot.set(el, attrs);
+  }
+
+  _restoreSnapshot(isTarget = () => true) {
+    // 記録した属性を元に戻して記録を破棄（isTarget を指定した場合は一致する要素のみ）
+    this._domSnapshot.forEach((attrs, el) => {
+      if (!isTarget(el)) return;
+      Object.keys(attrs).forEach(name => {
+        if (attrs[name] === null) {
+          el.removeAttribute(name);
+        } else {
+          el.setAttribute(name, attrs[name]);
+        }
+      });
+      this._domSnapshot.delete(el);
+    });
+  }
+
+  _releaseDetached() {
+    // 取り除かれたスライド（とその子孫）は元の属性に戻し、記録を破棄してメモリに残さない
+    this._restoreSnapshot(el => !this.root.contains(el));
+  }
+
   _setupInfiniteLoop() {
     this.viewport = this.root.querySelector('.ofc-viewport');
     this.track = this.root.querySelector('.ofc-track');
@@ -220,110 +534,29 @@ class OverflowCarousel {
     // Auto-wrap direct children that don't have .ofc-slide class
     this._ensureSlideElements();
     
-    const originalSlides = Array.from(this.track.querySelectorAll('.ofc-slide'));
+    this._originalCount = this._countSlides();
 
-    if (originalSlides.length === 0) {
-      console.warn('OverflowCarousel: no .ofc-slide found');
+    if (this._originalCount === 0) {
+      // items は後から setOptions({ items }) で渡せるため警告しない
+      if (!this._isVirtual()) console.warn('OverflowCarousel: no .ofc-slide found');
       return;
     }
-
-    this._originalCount = originalSlides.length;
-    
-    // peekPx を計算: peekRatio が設定されていれば優先、そうでなければ peek 文字列値を使用
-    if (this.options.peekRatio !== undefined) {
-      // peekRatio: viewport幅と連立方程式で計算
-      // peek = (viewportWidth * peekRatio) / (itemsVisible + 2 * peekRatio)
-      const viewportWidth = this.viewport.offsetWidth;
-      const itemsVisible = this.options.itemsVisible;
-      const peekRatio = this.options.peekRatio;
-      const rawPeek = (viewportWidth * peekRatio) / (itemsVisible + 2 * peekRatio);
-      // 0.5px単位に丸める（サブピクセルの不一致を避ける）
-      this._peekPx = Math.round(rawPeek * 2) / 2;
-    } else {
-      // peek: 文字列値を使用（px, %, vw など）
-      const viewportWidth = this.viewport.offsetWidth;
-      this._peekPx = this._parsePixels(this.options.peek, viewportWidth);
-    }
-    
-    // 計算された peek を CSS 変数に反映
-    this.root.style.setProperty('--ofc-peek', this._peekPx + 'px');
     
-    // peek=0 の時は特別なクラスを追加（padding削除用）
-    if (this._peekPx === 0) {
-      this.root.classList.add('ofcarousel--no-peek');
-    } else {
-      this.root.classList.remove('ofcarousel--no-peek');
-    }
+    // peekPx を計算して CSS 変数に反映
+    this._updatePeek(this._getViewportSize());
 
-    // 両端に全スライドのクローンを作成
-    const startFragment = document.createDocumentFragment();
-    const endFragment = document.createDocumentFragment();
-
-    // 先頭にクローンを挿入（逆順で順序を保持）
-    for (let i = originalSlides.length - 1; i >= 0; i--) {
-      const clone = originalSlides[i].cloneNode(true);
-      clone.setAttribute('aria-hidden', 'true');
-      startFragment.insertBefore(clone, startFragment.firstChild);
-    }
-    // 終端にクローンを追加
-    for (let i = 0; i < originalSlides.length; i++) {
-      const clone = originalSlides[i].cloneNode(true);
-      clone.setAttribute('aria-hidden', 'true');
-      endFragment.appendChild(clone);
-    }
-
-    this.track.insertBefore(startFragment, this.track.firstChild);
-    this.track.appendChild(endFragment);
+    // 両端に表示範囲を埋める数のクローンを作成
+    this._buildClones();
 
     // クローン領域をスキップして最初の実スライドまでスクロール
+    // （dots などの初期状態を正しく計算するため同期的に移動し、レイアウト確定後にもう一度合わせる）
+    this._jumpToIndex(0);
     requestAnimationFrame(() => {
-      const step = this._getStep();
-      if (step > 0) {
-        this._isAdjusting = true;
-        const prevBehavior = this.viewport.style.scrollBehavior;
-        this.viewport.style.scrollBehavior = 'auto';
-        // 左側に部分的な前のアイテムを表示するため peek でオフセット
-        this.viewport.scrollLeft = step * this._originalCount - this._peekPx;
-        this.viewport.style.scrollBehavior = prevBehavior;
-        this._isAdjusting = false;
-      }
+      this._jumpToIndex(0);
     });
 
     // aspectAuto: viewportの高さを最初のオリジナルスライドの内容に基づいて設定
-    if (this.options.aspectAuto) {
-      const firstOriginalSlide = this.track.querySelector('.ofc-slide');
-      if (firstOriginalSlide) {
-        const updateViewportHeight = () => {
-          // スライドの実際の高さ（内容物がレンダリングされた後）を取得
-          const slideHeight = firstOriginalSlide.offsetHeight;
-          if (slideHeight > 0) {
-            this.viewport.style.height = `${slideHeight}px`;
-          }
-        };
-
-        // 画像がある場合は load を待つ
-        const imgs = firstOriginalSlide.querySelectorAll('img');
-        if (imgs.length > 0) {
-          let loadedCount = 0;
-          const checkAllLoaded = () => {
-            loadedCount++;
-            if (loadedCount === imgs.length) {
-              updateViewportHeight();
-            }
-          };
-          imgs.forEach(img => {
-            if (img.complete) {
-              checkAllLoaded();
-            } else {
-              img.addEventListener('load', checkAllLoaded);
-            }
-          });
-        } else {
-          // 画像がない場合は即座に実行
-          updateViewportHeight();
-        }
-      }
-    }
+    this._setupAspectAutoHeight();
 
     // Infinite loop setup complete
   }
@@ -337,7 +570,38 @@ class OverflowCarousel {
     // Auto-wrap direct children that don't have .ofc-slide class
     this._ensureSlideElements();
     
-    const originalSlides = Array.from(this.track.querySelectorAll('.ofc-slide'));
+    this._originalCount = this._countSlides();
+
+    if (this._originalCount === 0) {
+      // items は後から setOptions({ items }) で渡せるため警告しない
+      if (!this._isVirtual()) console.warn('OverflowCarousel: no .ofc-slide found');
+      return;
+    }
+    
+    // peekPx を計算して CSS 変数に反映
+    this._updatePeek(this._getViewportSize());
+
+    // items: 先頭付近のスライドを描画
+    if (this._isVirtual()) this._renderVirtualWindow();
+    
+    // 最初と最後のスライドの外側の余白を削除
+    this._applyEdgeMargins();
+    
+    // aspectAuto: viewportの高さを最初のスライドの内容に基づいて設定
+    this._setupAspectAutoHeight();
+
+    // Non-infinite mode setup complete
+  }
+
+  _setupStackedMode() {
+    // effect（fade など）の初期化: クローン・端の余白は使わず、現在のスライドだけを表示
+    this.viewport = this.root.querySelector('.ofc-viewport');
+    this.track = this.root.querySelector('.ofc-track');
+
+    // Auto-wrap direct children that don't have .ofc-slide class
+    this._ensureSlideElements();
+
+    const originalSlides = this._getOriginalSlides();
 
     if (originalSlides.length === 0) {
       console.warn('OverflowCarousel: no .ofc-slide found');
@@ -345,21 +609,177 @@ class OverflowCarousel {
     }
 
     this._originalCount = originalSlides.length;
-    
-    // peekPx を計算
+    this._stackIndex = this._stackIndex || 0;
+
+    // aspectAuto: viewportの高さを最初のスライドの内容に基づいて設定
+    this._setupAspectAutoHeight();
+
+    // スワイプで次・前へ
+    this._setupSwipe();
+
+    requestAnimationFrame(() => {
+      this._updateVisibilityClasses();
+    });
+  }
+
+  _isStacked() {
+    // items では描画していないスライドを重ねられないため、常にスクロールで切り替える
+    return !!this.options.effect && this.options.effect !== 'scroll' && !this._isVirtual();
+  }
+
+  _getEffectClass(effect = this.options.effect) {
+    return `ofcarousel--effect-${effect}`;
+  }
+
+  _setEffect(prevEffect) {
+    // effect の切り替え（スクロール ⇔ 重ねて表示）
+    const wasStacked = !!prevEffect && prevEffect !== 'scroll';
+    if (wasStacked) {
+      this._finishTransition();
+      this.root.classList.remove('ofcarousel--stacked', this._getEffectClass(prevEffect));
+    }
+    if (this._isStacked()) {
+      this.root.classList.add('ofcarousel--stacked', this._getEffectClass());
+    }
+    if (wasStacked === this._isStacked()) return;
+
+    if (this._isStacked()) {
+      // スクロール → 重ねて表示: スクロールハンドラー・クローン・端の余白を取り除く
+      this._onScroll && this.viewport.removeEventListener('scroll', this._onScroll);
+      this._onNonInfiniteScroll && this.viewport.removeEventListener('scroll', this._onNonInfiniteScroll);
+      clearTimeout(this._scrollTimer);
+      clearTimeout(this._nonInfiniteScrollTimer);
+      this._onScroll = null;
+      this._onNonInfiniteScroll = null;
+      this._removeClones();
+      this._clearEdgeMargins();
+      this.viewport.scrollLeft = 0;
+      this.viewport.scrollTop = 0;
+      this._setupSwipe();
+    } else {
+      // 重ねて表示 → スクロール: infinite に合わせてクローン・端の余白を作り直す
+      this._teardownSwipe();
+      if (this.options.infinite) {
+        if (this._originalCount) this._buildClones();
+        this._setupScrollJump();
+      } else {
+        this._applyEdgeMargins();
+        this._setupNonInfiniteScroll();
+      }
+    }
+  }
+
+  _setupSwipe() {
+    // effect では viewport がスクロールしないため、ポインターのスワイプで次・前へ切り替える
+    if (!this.viewport || this._onSwipeStart) return;
+    this._onSwipeStart = (e) => {
+      if (!e.isPrimary || e.button > 0) return;
+      this._swipeStart = { x: e.clientX, y: e.clientY };
+    };
+    this._onSwipeEnd = (e) => {
+      const start = this._swipeStart;
+      this._swipeStart = null;
+      if (!start || e.type === 'pointercancel') return;
+      const dx = e.clientX - start.x;
+      const dy = e.clientY - start.y;
+      const main = this._isVertical() ? dy : dx;
+      const cross = this._isVertical() ? dx : dy;
+      if (Math.abs(main) < SWIPE_THRESHOLD || Math.abs(main) < Math.abs(cross)) return;
+      // 左（縦方向では上、RTL では右）へのスワイプで次へ
+      const forward = this._isRtl && !this._isVertical() ? main > 0 : main < 0;
+      if (forward) {
+        this.next();
+      } else {
+        this.prev();
+      }
+    };
+    this.viewport.addEventListener('pointerdown', this._onSwipeStart);
+    this.viewport.addEventListener('pointerup', this._onSwipeEnd);
+    this.viewport.addEventListener('pointercancel', this._onSwipeEnd);
+  }
+
+  _teardownSwipe() {
+    if (!this.viewport || !this._onSwipeStart) return;
+    this.viewport.removeEventListener('pointerdown', this._onSwipeStart);
+    this.viewport.removeEventListener('pointerup', this._onSwipeEnd);
+    this.viewport.removeEventListener('pointercancel', this._onSwipeEnd);
+    this._onSwipeStart = null;
+    this._onSwipeEnd = null;
+    this._swipeStart = null;
+  }
+
+  _transitionTo(index, direction, behavior = 'smooth') {
+    // 重ねたスライドを切り替え、切り替え中は .ofc-slide-entering / .ofc-slide-leaving を付与
+    const from = this._stackIndex || 0;
+    if (index === from) return;
+    const slides = this._getOriginalSlides();
+    const leaving = slides[from];
+    const entering = slides[index];
+    if (!entering) return;
+
+    // 前の切り替えが終わっていなければ終了させる
+    this._finishTransition();
+
+    this._scrollDirection = direction;
+    this.root.classList.add(`ofc-scrolling-${direction}`);
+    this._notifyScrollStart();
+
+    const instant = behavior === 'instant' || this._prefersReducedMotion();
+    if (instant) this.root.classList.add('ofc-effect-instant');
+
+    this._stackIndex = index;
+    this._transitionSlides = [leaving, entering].filter(Boolean);
+    leaving && leaving.classList.add('ofc-slide-leaving');
+    entering.classList.add('ofc-slide-entering');
+    this._updateActiveDot(index);
+    this._updateVisibilityClasses();
+
+    if (instant) {
+      // スタイルを確定させてからトランジションの無効化を解除
+      void this.track.offsetWidth;
+      this.root.classList.remove('ofc-effect-instant');
+      this._finishTransition();
+      return;
+    }
+    this._transitionTimer = setTimeout(() => this._finishTransition(), this.options.effectDuration);
+  }
+
+  _finishTransition() {
+    if (!this._transitionSlides) return;
+    clearTimeout(this._transitionTimer);
+    this._transitionTimer = null;
+    this._transitionSlides.forEach(slide => slide.classList.remove('ofc-slide-entering', 'ofc-slide-leaving'));
+    this._transitionSlides = null;
+    this.root.classList.remove('ofc-scrolling-next', 'ofc-scrolling-prev');
+
+    // scrollend / change イベント
+    this._notifyScrollEnd();
+  }
+
+  _parseDuration(value) {
+    // CSS の時間（'500ms' / '0.5s'）をミリ秒に変換
+    const n = parseFloat(value);
+    if (Number.isNaN(n)) return 0;
+    return /ms$/.test(String(value).trim()) ? n : n * 1000;
+  }
+
+  _updatePeek(viewportSize) {
+    // peekPx を計算: peekRatio が設定されていれば優先、そうでなければ peek 文字列値を使用
+    // viewportSize はスクロール方向の viewport サイズ（縦方向では高さ）
     if (this.options.peekRatio !== undefined) {
-      const viewportWidth = this.viewport.offsetWidth;
+      // peekRatio: viewport幅と連立方程式で計算
+      // peek = (viewportSize * peekRatio) / (itemsVisible + 2 * peekRatio)
       const itemsVisible = this.options.itemsVisible;
       const peekRatio = this.options.peekRatio;
-      const rawPeek = (viewportWidth * peekRatio) / (itemsVisible + 2 * peekRatio);
+      const rawPeek = (viewportSize * peekRatio) / (itemsVisible + 2 * peekRatio);
       // 0.5px単位に丸める（サブピクセルの不一致を避ける）
       this._peekPx = Math.round(rawPeek * 2) / 2;
     } else {
-      const viewportWidth = this.viewport.offsetWidth;
-      this._peekPx = this._parsePixels(this.options.peek, viewportWidth);
+      // peek: 文字列値を使用（px, %, vw など）
+      this._peekPx = this._parsePixels(this.options.peek, viewportSize);
     }
     
-    // CSS変数に反映
+    // 計算された peek を CSS 変数に反映
     this.root.style.setProperty('--ofc-peek', this._peekPx + 'px');
     
     // peek=0 の時は特別なクラスを追加（padding削除用）
@@ -368,104 +788,609 @@ class OverflowCarousel {
     } else {
       this.root.classList.remove('ofcarousel--no-peek');
     }
-    
-    // infinite: false の場合、最初のスライドの前に左margin、最後のスライドの後に右marginを削除
-    // 中間ではpeekが見えるようにtrackのpaddingは維持
-    const firstSlide = originalSlides[0];
-    const lastSlide = originalSlides[originalSlides.length - 1];
-    
-    // peek=0 の時はmargin調整不要（paddingが0なので）
-    if (this._peekPx > 0) {
-      if (firstSlide) {
-        // 最初のスライドを左端に寄せる（負のmarginでtrack paddingをキャンセル）
-        firstSlide.style.marginLeft = `-${this._peekPx}px`;
-      }
-      if (lastSlide) {
-        // 最後のスライドを右端に寄せる
-        lastSlide.style.marginRight = `-${this._peekPx}px`;
-      }
+  }
+
+  _getOriginalSlides() {
+    // クローンを除いた実スライド（items では描画済みのスライドのみ）
+    if (!this.track) return [];
+    return Array.from(this.track.querySelectorAll('.ofc-slide:not(.ofc-slide-clone)'));
+  }
+
+  _buildClones() {
+    // items ではクローンを作らず、前後にクローン数分の位置を加えて描画時に複製する（位置がずれるため描画し直す）
+    if (this._isVirtual()) {
+      this._cloneCount = this._getCloneCount();
+      this._clearVirtualSlides();
+      return;
     }
-    
-    // aspectAuto: viewportの高さを最初のスライドの内容に基づいて設定
-    if (this.options.aspectAuto) {
-      const firstSlide = this.track.querySelector('.ofc-slide');
-      if (firstSlide) {
-        const updateViewportHeight = () => {
-          const slideHeight = firstSlide.offsetHeight;
-          if (slideHeight > 0) {
-            this.viewport.style.height = `${slideHeight}px`;
-          }
-        };
-
-        const imgs = firstSlide.querySelectorAll('img');
-        if (imgs.length > 0) {
-          let loadedCount = 0;
-          const checkAllLoaded = () => {
-            loadedCount++;
-            if (loadedCount === imgs.length) {
-              updateViewportHeight();
-            }
-          };
-          imgs.forEach(img => {
-            if (img.complete) {
-              checkAllLoaded();
-            } else {
-              img.addEventListener('load', checkAllLoaded);
-            }
-          });
-        } else {
-          updateViewportHeight();
-        }
-      }
+    const originalSlides = this._getOriginalSlides();
+    const count = originalSlides.length;
+    const cloneCount = this._getCloneCount();
+    const startFragment = document.createDocumentFragment();
+    const endFragment = document.createDocumentFragment();
+
+    // 先頭には末尾側、終端には先頭側のスライドのクローン（スライド数より多い場合は繰り返す）
+    for (let i = cloneCount; i > 0; i--) {
+      startFragment.appendChild(this._createClone(originalSlides[(((count - i) % count) + count) % count]));
+    }
+    for (let i = 0; i < cloneCount; i++) {
+      endFragment.appendChild(this._createClone(originalSlides[i % count]));
     }
 
-    // Non-infinite mode setup complete
+    this.track.insertBefore(startFragment, this.track.firstChild);
+    this.track.appendChild(endFragment);
+    this._cloneCount = cloneCount;
   }
 
-  _setupNonInfiniteScroll() {
-    if (!this.viewport || !this.track) return;
+  _getCloneCount() {
+    // 片側のクローン数: 表示範囲と前後の peek、1回の移動（slidesToScroll）で進む分
+    const count = this._originalCount || 0;
+    if (!count) return 0;
+    let visible = this.options.itemsVisible;
+    if (this._isAutoWidth()) {
+      // 可変幅では最も小さいスライドで viewport を埋められる数
+      const trackRect = this.track.getBoundingClientRect();
+      const sizes = this._getOriginalSlides().map(slide => this._measureSlide(slide, trackRect).size + this._gapPx);
+      const min = Math.min(...sizes);
+      visible = min > 0 ? Math.ceil(this._getViewportSize() / min) : count;
+    }
+    return visible + this._getSlidesToScroll() + 1;
+  }
 
-    // スクロールハンドラー: 表示状態クラスとdotsを更新
-    this._onNonInfiniteScroll = () => {
-      if (this._isAdjusting) return;
-      
-      // スクロール方向を判定してクラスを追加
-      const currentScrollLeft = this.viewport.scrollLeft;
-      if (currentScrollLeft > this._lastScrollLeft) {
-        this.root.classList.remove('ofc-scrolling-prev');
-        this.root.classList.add('ofc-scrolling-next');
-      } else if (currentScrollLeft < this._lastScrollLeft) {
-        this.root.classList.remove('ofc-scrolling-next');
-        this.root.classList.add('ofc-scrolling-prev');
-      }
-      this._lastScrollLeft = currentScrollLeft;
-      
-      clearTimeout(this._nonInfiniteScrollTimer);
-      this._nonInfiniteScrollTimer = setTimeout(() => {
-        // スクロール終了時にクラスを削除
-        this.root.classList.remove('ofc-scrolling-next', 'ofc-scrolling-prev');
-        
-        // dots のアクティブ状態を更新
-        this._updateActiveDot(this._getCurrentIndex());
-        
-        // 表示状態のクラスを更新
-        this._updateVisibilityClasses();
-      }, SCROLL_DEBOUNCE_DELAY);
-    };
+  _updateClones() {
+    // itemsVisible・slidesToScroll・viewport のサイズの変化で必要なクローン数が変わった場合は作り直す
+    if (!this._originalCount || this._getCloneCount() === this._cloneCount) return;
+    this._removeClones();
+    this._buildClones();
+  }
 
-    this.viewport.addEventListener('scroll', this._onNonInfiniteScroll, { passive: true });
-    
-    // 初期状態のクラスを設定
-    requestAnimationFrame(() => {
-      this._updateVisibilityClasses();
-    });
+  _createClone(slide) {
+    const clone = slide.cloneNode(true);
+    this._cloneSources.set(clone, slide);
+    this._markClone(clone);
+    return clone;
   }
 
+  _markClone(clone) {
+    clone.classList.add('ofc-slide-clone');
 
+    // id は重複させない: 生成した id は削除し、それ以外はクローンごとに書き換えてクローン内の参照も合わせる
+    const seq = this._cloneSeq = (this._cloneSeq || 0) + 1;
+    const renamed = new Map();
+    [clone, ...clone.querySelectorAll('[id]')].forEach((el) => {
+      if (!el.id) return;
+      if (el.id.startsWith(this._idPrefix)) {
+        el.removeAttribute('id');
+        return;
+      }
+      renamed.set(el.id, `${el.id}--ofc-clone-${seq}`);
+      el.id = renamed.get(el.id);
+    });
+    if (renamed.size) {
+      const selector = ID_REF_ATTRIBUTES.map(name => `[${name}]`).join(', ');
+      [clone, ...clone.querySelectorAll(selector)].forEach((el) => {
+        ID_REF_ATTRIBUTES.forEach((name) => {
+          const value = el.getAttribute(name);
+          if (!value) return;
+          el.setAttribute(name, value.split(/\s+/).map(id => renamed.get(id) || id).join(' '));
+        });
+      });
+    }
 
-  _setupScrollJump() {
-    if (!this.viewport || !this.track) return;
-    const getMaxRealScroll = () => this._getStep() * this._originalCount;
+    // メディアはクローンでは自動再生しない（iframe は表示範囲に入るまで読み込まない）
+    clone.querySelectorAll('video[autoplay], audio[autoplay]').forEach((media) => {
+      media.removeAttribute('autoplay');
+    });
+    clone.querySelectorAll('iframe').forEach((frame) => {
+      const allow = frame.getAttribute('allow');
+      if (allow) {
+        frame.setAttribute('allow', allow.split(';').map(item => item.trim()).filter(item => item && !/^autoplay\b/.test(item)).join('; '));
+      }
+      frame.setAttribute('loading', 'lazy');
+    });
+
+    this._setSlideHidden(clone, true);
+  }
+
+  _removeClones() {
+    this._cloneCount = 0;
+    if (!this.track) return;
+    if (this._isVirtual()) {
+      this._clearVirtualSlides();
+      return;
+    }
+    this.track.querySelectorAll('.ofc-slide-clone').forEach(clone => clone.remove());
+  }
+
+  _toSlideIndex(trackIndex) {
+    // track 内のインデックス（クローンを含む）を実スライドのインデックスに変換
+    const count = this._originalCount || 0;
+    if (!count || !this._cloneCount) return trackIndex;
+    return (((trackIndex - this._cloneCount) % count) + count) % count;
+  }
+
+  _isVirtual() {
+    return Array.isArray(this.options.items);
+  }
+
+  _countSlides() {
+    // 実スライド数（items ではデータの数）
+    return this._isVirtual() ? this.options.items.length : this._getOriginalSlides().length;
+  }
+
+  _setupVirtual() {
+    // items: track の既存の要素（JS が無効な場合の表示）を取り除き、前後のスペーサーの間にスライドを描画
+    // スペーサーが描画していないスライドの分の長さを確保するため、スクロール・スナップ・スクロールバーはそのまま使える
+    this.viewport = this.root.querySelector('.ofc-viewport');
+    this.track = this.root.querySelector('.ofc-track');
+    if (!this.viewport || !this.track) return;
+    if (this.options.autoWidth || (this.options.effect && this.options.effect !== 'scroll')) {
+      console.warn('OverflowCarousel: autoWidth and effect are not supported with items');
+    }
+    this.root.classList.add('ofcarousel--virtual');
+
+    this._virtualFallback = document.createDocumentFragment();
+    while (this.track.firstChild) {
+      this._virtualFallback.appendChild(this.track.firstChild);
+    }
+    const createSpacer = (edge) => {
+      const spacer = document.createElement('div');
+      spacer.className = `ofc-spacer ofc-spacer-${edge}`;
+      spacer.setAttribute('aria-hidden', 'true');
+      this.track.appendChild(spacer);
+      return spacer;
+    };
+    this._virtualSpacers = { start: createSpacer('start'), end: createSpacer('end') };
+    this._virtualSlides = new Map(); // track 内の位置 → 描画したスライド
+    this._virtualPositions = new WeakMap(); // 描画したスライド → track 内の位置
+
+    // スクロールに合わせて描画する範囲を移動（スクロールイベントはフレームごとに発火する）
+    this._onVirtualScroll = () => this._renderVirtualWindow();
+    this.viewport.addEventListener('scroll', this._onVirtualScroll, { passive: true });
+  }
+
+  _teardownVirtual() {
+    if (!this._virtualSpacers) return;
+    this.viewport.removeEventListener('scroll', this._onVirtualScroll);
+    this._onVirtualScroll = null;
+    this._clearVirtualSeek();
+    this._clearVirtualSlides();
+    this._virtualSpacers.start.remove();
+    this._virtualSpacers.end.remove();
+    this._virtualSpacers = null;
+    this.track.appendChild(this._virtualFallback);
+    this._virtualFallback = null;
+  }
+
+  _getVirtualLength() {
+    // track 内の位置の数（infinite では前後のクローン分を含む）
+    const count = this._originalCount || 0;
+    return count ? count + 2 * (this._cloneCount || 0) : 0;
+  }
+
+  _renderVirtualWindow() {
+    // 表示範囲と前後 virtualBuffer 枚のスライドを描画し、それ以外を取り除く
+    if (this._destroyed || !this._virtualSpacers) return;
+    const total = this._getVirtualLength();
+    if (!total) {
+      this._clearVirtualSlides();
+      return;
+    }
+    // スライドの大きさを測るため、描画済みのスライドがなければ先頭のスライドを描画
+    const pos = this._getScrollPos();
+    if (!this._virtualSlides.size) {
+      const first = Math.min(total - 1, this._cloneCount || 0);
+      this._setVirtualRange(first, first);
+    }
+    const step = this._getStep();
+    if (!step) return;
+    const buffer = Math.max(0, parseInt(this.options.virtualBuffer, 10) || 0);
+    // 一部でも見えている位置（track の先頭には peek の余白がある）
+    const first = Math.floor((pos - this._peekPx) / step);
+    const last = Math.ceil((pos - this._peekPx + this._getViewportSize()) / step);
+    const start = Math.min(total - 1, Math.max(0, first - buffer));
+    const end = Math.max(start, Math.min(total - 1, last + buffer));
+    if (this._setVirtualRange(start, end)) {
+      this._updateVisibilityClasses();
+    }
+  }
+
+  _setVirtualRange(start, end) {
+    // track 内の位置 start〜end のスライドを描画し、それ以外を取り除く（描画するスライドが変わった場合は true）
+    let changed = false;
+    this._virtualSlides.forEach((slide, position) => {
+      if (position >= start && position <= end) return;
+      // フォーカス中の要素を取り除く場合は viewport にフォーカスを逃がす
+      if (slide.contains(document.activeElement)) {
+        this.viewport.focus({ preventScroll: true });
+      }
+      slide.remove();
+      this._virtualSlides.delete(position);
+      changed = true;
+    });
+    // 取り除いたスライド内の要素の属性の記録（inert 未対応のブラウザの tabindex）を破棄
+    if (changed) this._releaseDetached();
+    // 後ろから順に、描画済みのスライド（なければ後ろのスペーサー）の前に挿入
+    let ref = this._virtualSpacers.end;
+    for (let position = end; position >= start; position--) {
+      let slide = this._virtualSlides.get(position);
+      if (!slide) {
+        slide = this._renderVirtualSlide(position);
+        this._virtualSlides.set(position, slide);
+        this.track.insertBefore(slide, ref);
+        changed = true;
+      }
+      ref = slide;
+    }
+    if (end < start) return changed;
+
+    // 描画していない位置の長さをスペーサーで確保（track の gap は CSS の負の margin で打ち消す）
+    const step = this._getStep();
+    this._virtualSpacers.start.style.flexBasis = `${start * step}px`;
+    this._virtualSpacers.end.style.flexBasis = `${(this._getVirtualLength() - 1 - end) * step}px`;
+    return changed;
+  }
+
+  _renderVirtualSlide(position) {
+    // renderItem の戻り値が要素の場合はそのままスライドにし、文字列・それ以外のノードは div で包む
+    const index = this._toSlideIndex(position);
+    const render = this.options.renderItem;
+    const content = typeof render === 'function' ? render(this.options.items[index], index) : null;
+    let slide;
+    if (content instanceof Element) {
+      slide = content;
+    } else {
+      slide = document.createElement('div');
+      if (content instanceof Node) {
+        slide.appendChild(content);
+      } else if (content != null) {
+        slide.innerHTML = content;
+      }
+    }
+    slide.classList.add('ofc-slide');
+    this._virtualPositions.set(slide, position);
+
+    const count = this._originalCount;
+    const cloneCount = this._cloneCount || 0;
+    if (cloneCount && (position < cloneCount || position >= cloneCount + count)) {
+      this._markClone(slide);
+      return slide;
+    }
+    // role・ラベル（renderItem で指定した属性は上書きしない）
+    const attrs = {
+      role: 'group',
+      'aria-roledescription': this._getLabel('slide'),
+      'aria-label': this._getLabel('slideLabel', { index: index + 1, total: count })
+    };
+    Object.keys(attrs).forEach((name) => {
+      if (!slide.hasAttribute(name)) slide.setAttribute(name, attrs[name]);
+    });
+    return slide;
+  }
+
+  _clearVirtualSlides() {
+    // 描画したスライドをすべて取り除く（次に位置を測る時に描画し直す）
+    if (!this._virtualSpacers) return;
+    this._setVirtualRange(0, -1);
+  }
+
+  _getSlideElement(index) {
+    // 実スライドの要素（items では描画していなければ undefined）
+    if (this._isVirtual()) {
+      return this._virtualSlides && this._virtualSlides.get(index + (this._cloneCount || 0));
+    }
+    return this._getOriginalSlides()[index];
+  }
+
+  _getSlideIndex(slide) {
+    // スライド要素の実スライドのインデックス（クローンは元のスライドのインデックス）
+    const position = this._isVirtual()
+      ? this._virtualPositions.get(slide)
+      : Array.prototype.indexOf.call(this.track.querySelectorAll('.ofc-slide'), slide);
+    if (position === undefined || position < 0) return -1;
+    return this._toSlideIndex(position);
+  }
+
+  _seekVirtual(pos) {
+    // items: 描画していない位置へのスムーズスクロール
+    // ブラウザは開始時点のスライドでスナップ先を決めるため、止まるまで CSS のスナップを無効にする
+    this._clearVirtualSeek();
+    this.root.classList.add('ofc-virtual-seeking');
+    this._onVirtualSeekScroll = () => {
+      clearTimeout(this._virtualSeekTimer);
+      this._virtualSeekTimer = setTimeout(() => this._clearVirtualSeek(), SCROLL_DEBOUNCE_DELAY);
+    };
+    this.viewport.addEventListener('scroll', this._onVirtualSeekScroll, { passive: true });
+    this._onVirtualSeekScroll();
+    this.viewport.scrollTo(this._isVertical()
+      ? { top: pos, behavior: 'smooth' }
+      : { left: this._toScrollLeft(pos), behavior: 'smooth' });
+  }
+
+  _clearVirtualSeek() {
+    clearTimeout(this._virtualSeekTimer);
+    this._onVirtualSeekScroll && this.viewport.removeEventListener('scroll', this._onVirtualSeekScroll);
+    this._onVirtualSeekScroll = null;
+    this.root.classList.remove('ofc-virtual-seeking');
+  }
+
+  _isVirtualRendered(pos) {
+    // スクロール位置 pos が描画済みのスライドのスナップ位置の範囲内か
+    const slides = this.track.querySelectorAll('.ofc-slide');
+    if (!slides.length) return false;
+    const trackRect = this.track.getBoundingClientRect();
+    return pos >= this._getSnapPos(slides[0], trackRect) - 1
+      && pos <= this._getSnapPos(slides[slides.length - 1], trackRect) + 1;
+  }
+
+  _applyEdgeMargins() {
+    // infinite: false の場合、最初のスライドの前に左margin、最後のスライドの後に右marginを削除
+    // 中間ではpeekが見えるようにtrackのpaddingは維持
+
+    // 以前の端スライドの margin をリセット（スライド追加・削除で端が変わるため）
+    this._clearEdgeMargins();
+
+    // 重ねて表示する effect では余白を使わない
+    if (this._isStacked()) return;
+
+    // items では描画するスライドが入れ替わるため、常に両端にあるスペーサーに余白を付ける
+    const originalSlides = this._getOriginalSlides();
+    const firstSlide = this._virtualSpacers ? this._virtualSpacers.start : originalSlides[0];
+    const lastSlide = this._virtualSpacers ? this._virtualSpacers.end : originalSlides[originalSlides.length - 1];
+    if (!firstSlide) return;
+    
+    // 中央揃えでは、最初と最後のスライドも中央に置けるよう両端に余白を追加（可変幅ではそれぞれのサイズで計算）
+    const getEdgeMargin = (slide) => {
+      if (!this._isCentered()) return -this._peekPx;
+      return this._isAutoWidth()
+        ? this._getCenterShift(this._measureSlide(slide).size)
+        : this._getCenterShift();
+    };
+    const startMargin = getEdgeMargin(firstSlide);
+    const endMargin = getEdgeMargin(lastSlide);
+
+    // 余白が 0 の時はmargin調整不要（peek=0 で paddingが0、または中央揃えで peek と一致）
+    if (startMargin !== 0 || endMargin !== 0) {
+      // 縦方向では上下、RTL では左右を反転して margin を調整
+      let startProp = 'marginLeft';
+      let endProp = 'marginRight';
+      if (this._isVertical()) {
+        startProp = 'marginTop';
+        endProp = 'marginBottom';
+      } else if (this._isRtl) {
+        startProp = 'marginRight';
+        endProp = 'marginLeft';
+      }
+      // 最初のスライドを先頭側の端に寄せる（負のmarginでtrack paddingをキャンセル）
+      firstSlide.style[startProp] = `${startMargin}px`;
+      // 最後のスライドを終端側の端に寄せる
+      lastSlide.style[endProp] = `${endMargin}px`;
+      this._edgeSlides = { first: firstSlide, last: lastSlide, startProp, endProp };
+    }
+  }
+
+  _clearEdgeMargins() {
+    if (!this._edgeSlides) return;
+    const { first, last, startProp, endProp } = this._edgeSlides;
+    first.style[startProp] = '';
+    last.style[endProp] = '';
+    this._edgeSlides = null;
+  }
+
+  _setupAspectAutoHeight() {
+    // 縦方向では viewport の高さが固定のため対象外
+    if (!this.options.aspectAuto || this._isVertical()) return;
+    const firstSlide = this._getOriginalSlides()[0];
+    if (!firstSlide) return;
+
+    const updateViewportHeight = () => {
+      if (this._destroyed) return;
+      // スライドの実際の高さ（内容物がレンダリングされた後）を取得
+      const slideHeight = firstSlide.offsetHeight;
+      if (slideHeight > 0) {
+        this.viewport.style.height = `${slideHeight}px`;
+      }
+    };
+
+    // 画像がある場合は load を待つ
+    const imgs = firstSlide.querySelectorAll('img');
+    if (imgs.length > 0) {
+      let loadedCount = 0;
+      const checkAllLoaded = () => {
+        loadedCount++;
+        if (loadedCount === imgs.length) {
+          updateViewportHeight();
+        }
+      };
+      imgs.forEach(img => {
+        if (img.complete) {
+          checkAllLoaded();
+        } else {
+          img.addEventListener('load', checkAllLoaded);
+        }
+      });
+    } else {
+      // 画像がない場合は即座に実行
+      updateViewportHeight();
+    }
+  }
+
+  _jumpToIndex(index) {
+    // アニメーションなしで指定インデックスへ移動（scroll イベントでの誤検出を防ぐため位置を記録）
+    if (this._destroyed) return;
+    if (this._isStacked()) {
+      // effect では切り替えのトランジションなしで表示するスライドを変える
+      this._finishTransition();
+      this._stackIndex = Math.min(Math.max(0, index), Math.max(0, (this._originalCount || 1) - 1));
+      this._updateVisibilityClasses();
+      return;
+    }
+    const step = this._getStep();
+    if (!step) return;
+    this._isAdjusting = true;
+    const prevBehavior = this.viewport.style.scrollBehavior;
+    this.viewport.style.scrollBehavior = 'auto';
+    // infinite では左側に部分的な前のアイテムを表示するため peek でオフセット
+    this._setScrollPos(this._getIndexPos(index, step));
+    this.viewport.style.scrollBehavior = prevBehavior;
+    this._lastScrollPos = this._getScrollPos();
+    this._isAdjusting = false;
+  }
+
+  /**
+   * スライドを追加
+   * @param {HTMLElement} el 追加する要素（.ofc-slide は自動付与）
+   * @param {number} [index] 挿入位置（省略時は末尾）
+   */
+  addSlide(el, index) {
+    if (!this.track || !el || this._warnIfVirtual('addSlide')) return;
+    let currentIndex = this._getCurrentIndex();
+    this._removeClones();
+
+    const slides = this._getOriginalSlides();
+    const ref = index === undefined ? null : slides[index];
+    if (ref) {
+      this.track.insertBefore(el, ref);
+      // 現在位置より前に挿入した場合は表示中のスライドを維持するためずらす
+      if (slides.length && index <= currentIndex) currentIndex++;
+    } else {
+      // 最後の実スライドの後ろ（スライドがなければ末尾）に追加
+      const last = slides[slides.length - 1];
+      this.track.insertBefore(el, last ? last.nextSibling : null);
+    }
+
+    this._rebuildSlides(currentIndex);
+  }
+
+  /**
+   * スライドを削除
+   * @param {number} index 削除する実スライドのインデックス
+   */
+  removeSlide(index) {
+    if (!this.track || this._warnIfVirtual('removeSlide')) return;
+    const slides = this._getOriginalSlides();
+    const target = slides[index];
+    if (!target) return;
+
+    let currentIndex = this._getCurrentIndex();
+    this._removeClones();
+    target.remove();
+    this._releaseDetached();
+    if (index < currentIndex) currentIndex--;
+
+    this._rebuildSlides(currentIndex);
+  }
+
+  /**
+   * 全スライドを置き換え
+   * @param {Iterable<HTMLElement>} nodes 新しいスライド要素
+   */
+  replaceSlides(nodes) {
+    if (!this.track || this._warnIfVirtual('replaceSlides')) return;
+    const currentIndex = this._getCurrentIndex();
+    this._removeClones();
+    this._getOriginalSlides().forEach(slide => slide.remove());
+    Array.from(nodes).forEach(node => this.track.appendChild(node));
+    this._releaseDetached();
+
+    this._rebuildSlides(currentIndex);
+  }
+
+  /**
+   * DOM や dir 属性を直接変更した後にスライド・クローン・dots を再構築
+   * items では配列を直接変更した後に呼ぶと、データの数を反映して描画し直す
+   */
+  refresh() {
+    if (!this.track) return;
+    const currentIndex = this._getCurrentIndex();
+    // dir 属性の変更にも追従（端の余白は _rebuildSlides で再計算）
+    this._clearEdgeMargins();
+    this._detectDirection();
+    this._removeClones();
+    // track から直接削除されたスライドの記録を破棄
+    this._releaseDetached();
+    this._rebuildSlides(currentIndex);
+  }
+
+  _warnIfVirtual(method) {
+    // items ではスライドをデータから描画するため、DOM のスライドを操作するメソッドは使えない
+    if (!this._isVirtual()) return false;
+    console.warn(`OverflowCarousel: ${method}() is not available with items, use setOptions({ items }) instead`);
+    return true;
+  }
+
+  _rebuildSlides(index) {
+    // クローンを除いた状態の track から実スライド・クローン・dots を作り直す
+    this._ensureSlideElements();
+    this._originalCount = this._countSlides();
+
+    if (this.options.infinite && !this._isStacked()) {
+      if (this._originalCount) this._buildClones();
+    } else {
+      this._applyEdgeMargins();
+    }
+
+    this._rebuildDots();
+    this._updateA11yAttributes();
+
+    // 表示中のスライドを維持
+    const clampedIndex = Math.min(Math.max(0, this._originalCount - 1), Math.max(0, index));
+    this._jumpToIndex(clampedIndex);
+    this._currentIndex = clampedIndex;
+    this._updateActiveDot(clampedIndex);
+    this._updateVisibilityClasses();
+  }
+
+  _setupNonInfiniteScroll() {
+    if (!this.viewport || !this.track) return;
+
+    // スクロールハンドラー: 表示状態クラスとdotsを更新
+    this._onNonInfiniteScroll = () => {
+      if (this._isAdjusting) return;
+      
+      // スクロール方向を判定してクラスを追加
+      const currentScrollPos = this._getScrollPos();
+      if (currentScrollPos > this._lastScrollPos) {
+        this.root.classList.remove('ofc-scrolling-prev');
+        this.root.classList.add('ofc-scrolling-next');
+        this._scrollDirection = 'next';
+        this._notifyScrollStart();
+      } else if (currentScrollPos < this._lastScrollPos) {
+        this.root.classList.remove('ofc-scrolling-next');
+        this.root.classList.add('ofc-scrolling-prev');
+        this._scrollDirection = 'prev';
+        this._notifyScrollStart();
+      }
+      this._lastScrollPos = currentScrollPos;
+      
+      clearTimeout(this._nonInfiniteScrollTimer);
+      this._nonInfiniteScrollTimer = setTimeout(() => {
+        // スクロール終了時にクラスを削除
+        this.root.classList.remove('ofc-scrolling-next', 'ofc-scrolling-prev');
+        
+        // dots のアクティブ状態を更新
+        this._updateActiveDot(this._getCurrentIndex());
+        
+        // 表示状態のクラスを更新
+        this._updateVisibilityClasses();
+
+        // scrollend / change イベント
+        this._notifyScrollEnd();
+      }, SCROLL_DEBOUNCE_DELAY);
+    };
+
+    this.viewport.addEventListener('scroll', this._onNonInfiniteScroll, { passive: true });
+    
+    // 初期状態のクラスを設定
+    requestAnimationFrame(() => {
+      this._updateVisibilityClasses();
+    });
+  }
+
+
+
+  _setupScrollJump() {
+    if (!this.viewport || !this.track) return;
 
     // デバウンス処理されたスクロールハンドラー: スクロール終了後に位置調整
     // スクロール中の連続呼び出しを避けることで、振動を防止
@@ -473,58 +1398,35 @@ class OverflowCarousel {
       if (this._isAdjusting) return;
       
       // スクロール方向を判定してクラスを追加
-      const currentScrollLeft = this.viewport.scrollLeft;
-      if (currentScrollLeft > this._lastScrollLeft) {
+      const currentScrollPos = this._getScrollPos();
+      if (currentScrollPos > this._lastScrollPos) {
         this.root.classList.remove('ofc-scrolling-prev');
         this.root.classList.add('ofc-scrolling-next');
-      } else if (currentScrollLeft < this._lastScrollLeft) {
+        this._scrollDirection = 'next';
+        this._notifyScrollStart();
+      } else if (currentScrollPos < this._lastScrollPos) {
         this.root.classList.remove('ofc-scrolling-next');
         this.root.classList.add('ofc-scrolling-prev');
+        this._scrollDirection = 'prev';
+        this._notifyScrollStart();
       }
-      this._lastScrollLeft = currentScrollLeft;
+      this._lastScrollPos = currentScrollPos;
       
       clearTimeout(this._scrollTimer);
       this._scrollTimer = setTimeout(() => {
         // スクロール終了時にクラスを削除
         this.root.classList.remove('ofc-scrolling-next', 'ofc-scrolling-prev');
-        const left = this.viewport.scrollLeft;
-        const step = this._getStep();
-        const maxReal = getMaxRealScroll();
-        const totalBefore = step * this._originalCount;
-        // 実スライド領域の境界（peek オフセットを考慮）
-        const realStartLeft = totalBefore - this._peekPx;
-        const realEndLeft = totalBefore + maxReal - this._peekPx;
-
-        // 開始クローン領域に到達した
-        if (left < realStartLeft) {
-          const offsetIntoClones = left - realStartLeft;
-          const newLeft = realStartLeft + maxReal + offsetIntoClones;
-          this._isAdjusting = true;
-          const prevBehavior = this.viewport.style.scrollBehavior;
-          this.viewport.style.scrollBehavior = 'auto';
-          this.viewport.scrollLeft = newLeft;
-          this.viewport.style.scrollBehavior = prevBehavior;
-          this._lastScrollLeft = newLeft; // 位置調整後の値を記録
-          this._isAdjusting = false;
-        }
-        // 終端クローン領域に到達した
-        else if (left > realEndLeft) {
-          const offsetIntoClones = left - realEndLeft;
-          const newLeft = realStartLeft + offsetIntoClones;
-          this._isAdjusting = true;
-          const prevBehavior = this.viewport.style.scrollBehavior;
-          this.viewport.style.scrollBehavior = 'auto';
-          this.viewport.scrollLeft = newLeft;
-          this.viewport.style.scrollBehavior = prevBehavior;
-          this._lastScrollLeft = newLeft; // 位置調整後の値を記録
-          this._isAdjusting = false;
-        }
+        // クローン領域に到達していたら実スライド領域へ戻す
+        this._wrapToRealRegion();
 
         // dots のアクティブ状態を更新（必要な場合のみ実行）
         this._updateActiveDot(this._getCurrentIndex());
         
         // 表示状態のクラスを更新
         this._updateVisibilityClasses();
+
+        // scrollend / change イベント
+        this._notifyScrollEnd();
       }, SCROLL_DEBOUNCE_DELAY);
     };
 
@@ -536,12 +1438,220 @@ class OverflowCarousel {
     });
   }
 
+  _wrapToRealRegion() {
+    // infinite: クローン領域にいる場合は、同じ見た目になる実スライド領域の位置へ即座にジャンプ（ジャンプ後の位置を返す）
+    const pos = this._getScrollPos();
+    // 実スライド領域の境界（peek・中央揃え・可変幅のオフセットを考慮）
+    const { start: realStart, span: maxReal } = this._getLoopBounds();
+    let newPos = pos;
+    if (pos < realStart) {
+      // 開始クローン領域に到達した
+      newPos = pos + maxReal;
+    } else if (pos > realStart + maxReal) {
+      // 終端クローン領域に到達した
+      newPos = pos - maxReal;
+    }
+    if (newPos === pos) return pos;
+
+    this._isAdjusting = true;
+    const prevBehavior = this.viewport.style.scrollBehavior;
+    this.viewport.style.scrollBehavior = 'auto';
+    this._setScrollPos(newPos);
+    this.viewport.style.scrollBehavior = prevBehavior;
+    this._lastScrollPos = newPos; // 位置調整後の値を記録
+    this._isAdjusting = false;
+    return newPos;
+  }
+
+  _notifyScrollStart() {
+    if (this._isScrolling) return;
+    this._isScrolling = true;
+    this._emit('scrollstart', { index: this._currentIndex });
+  }
+
+  _notifyScrollEnd() {
+    // クローン領域からのジャンプなど、位置が変わらないスクロールイベントは無視
+    if (!this._isScrolling) return;
+    this._isScrolling = false;
+
+    const index = this._getCurrentIndex();
+    this._emit('scrollend', { index });
+
+    if (index !== this._currentIndex) {
+      const from = this._currentIndex;
+      this._currentIndex = index;
+      this._announce(index);
+      this._emit('change', { from, to: index, direction: this._scrollDirection });
+    }
+
+    // 現在のスライドが選択になるカルーセルは、連動するカルーセルに伝える
+    if (this._followsScroll()) {
+      this._select(index);
+    }
+  }
+
   _getStep() {
-    // 1つのスライド移動距離 = スライド幅 + gap
+    // 1つのスライド移動距離 = スライド幅（縦方向では高さ） + gap
+    // items で描画済みのスライドがない場合は、測るために描画する
+    if (this._virtualSpacers && !this._virtualSlides.size) this._renderVirtualWindow();
     const first = this.track.querySelector('.ofc-slide');
     const gap = this._gapPx;
-    const w = first ? first.getBoundingClientRect().width : 0;
-    return w + gap;
+    const rect = first ? first.getBoundingClientRect() : null;
+    const size = rect ? (this._isVertical() ? rect.height : rect.width) : 0;
+    return size + gap;
+  }
+
+  _isVertical() {
+    return this.options.orientation === 'vertical';
+  }
+
+  _isCentered() {
+    return this.options.align === 'center';
+  }
+
+  _getBasePos(step = this._getStep()) {
+    // 実スライド 0 を表示するスクロール位置（infinite では先頭のクローン分を含む）
+    if (!this.options.infinite) return 0;
+    const clonesSize = step * (this._cloneCount || 0);
+    if (this._isCentered()) return clonesSize - this._getCenterShift(step - this._gapPx);
+    return clonesSize - this._peekPx;
+  }
+
+  _getCenterShift(slideSize = this._getStep() - this._gapPx) {
+    // 中央揃えでスライドを viewport の中央に置くための、peek の位置からのずれ
+    return Math.max(0, (this._getViewportSize() - slideSize) / 2 - this._peekPx);
+  }
+
+  _isAutoWidth() {
+    // items では描画していないスライドの大きさを測れないため、itemsVisible で揃える
+    return !!this.options.autoWidth && !this._isVirtual();
+  }
+
+  _getIndexPos(index, step = this._getStep()) {
+    // 実スライドの index 番目を表示するスクロール位置
+    if (!this._isAutoWidth()) return this._getBasePos(step) + step * index;
+    const slides = this.track.querySelectorAll('.ofc-slide');
+    const slide = slides[(this.options.infinite ? this._cloneCount || 0 : 0) + index];
+    if (!slide) return 0;
+    return Math.min(Math.max(0, this._getSnapPos(slide)), this._getMaxScrollPos());
+  }
+
+  _getLoopBounds() {
+    // infinite の実スライド領域（start: 実スライド 0 の位置、span: 実スライド1周分の長さ）
+    if (this._isAutoWidth()) {
+      const slides = this.track.querySelectorAll('.ofc-slide');
+      const start = this._getSnapPos(slides[this._cloneCount]);
+      return { start, span: this._getSnapPos(slides[this._cloneCount + this._originalCount]) - start };
+    }
+    const step = this._getStep();
+    return { start: this._getBasePos(step), span: step * this._originalCount };
+  }
+
+  _measureSlide(slide, trackRect = this.track.getBoundingClientRect()) {
+    // track の先頭からのスライドの位置とサイズ（スクロール位置に依存しない、RTL・縦方向に対応）
+    const rect = slide.getBoundingClientRect();
+    if (this._isVertical()) return { start: rect.top - trackRect.top, size: rect.height };
+    if (this._isRtl) return { start: trackRect.right - rect.right, size: rect.width };
+    return { start: rect.left - trackRect.left, size: rect.width };
+  }
+
+  _getSnapPos(slide, trackRect) {
+    // スライドがスナップするスクロール位置（scroll-padding の peek・中央揃えを考慮、範囲外の値もそのまま返す）
+    const { start, size } = this._measureSlide(slide, trackRect);
+    if (this._isCentered()) return start + size / 2 - this._getViewportSize() / 2;
+    return start - this._peekPx;
+  }
+
+  _getNearestSlideIndex(slides, pos) {
+    // スナップ位置が pos に最も近いスライドの track 内のインデックス
+    // non-infinite の終端では複数のスライドが同じ位置になるため、先頭側を優先
+    const trackRect = this.track.getBoundingClientRect();
+    const max = this._getMaxScrollPos();
+    let nearest = 0;
+    let minDistance = Infinity;
+    Array.from(slides).forEach((slide, i) => {
+      const snap = Math.min(Math.max(0, this._getSnapPos(slide, trackRect)), max);
+      const distance = Math.abs(snap - pos);
+      if (distance < minDistance - 0.5) {
+        minDistance = distance;
+        nearest = i;
+      }
+    });
+    return nearest;
+  }
+
+  _getViewportSize() {
+    // スクロール方向の viewport サイズ（peekRatio・gap の % の計算基準）
+    return this._isVertical() ? this.viewport.offsetHeight : this.viewport.offsetWidth;
+  }
+
+  _detectDirection() {
+    this._isRtl = getComputedStyle(this.root).direction === 'rtl';
+    this.root.classList.toggle('ofcarousel--rtl', this._isRtl);
+  }
+
+  _getScrollPos() {
+    // 先頭を 0 とし、終端に向かって増加する値に正規化したスクロール位置
+    if (this._isVertical()) return this.viewport.scrollTop;
+    const left = this.viewport.scrollLeft;
+    if (!this._isRtl) return left;
+    switch (getRtlScrollType()) {
+      case 'negative':
+        return -left;
+      case 'default':
+        return this.viewport.scrollWidth - this.viewport.clientWidth - left;
+      default:
+        return left;
+    }
+  }
+
+  _toScrollLeft(pos) {
+    // 正規化したスクロール位置をブラウザの scrollLeft に変換（RTL 対応）
+    if (!this._isRtl) return pos;
+    switch (getRtlScrollType()) {
+      case 'negative':
+        return -pos;
+      case 'default':
+        return this.viewport.scrollWidth - this.viewport.clientWidth - pos;
+      default:
+        return pos;
+    }
+  }
+
+  _setScrollPos(pos) {
+    if (this._isVertical()) {
+      this.viewport.scrollTop = pos;
+    } else {
+      this.viewport.scrollLeft = this._toScrollLeft(pos);
+    }
+    // items: scroll イベントを待たずに移動先のスライドを描画（描画されていないフレームを作らない）
+    if (this._virtualSpacers) this._renderVirtualWindow();
+  }
+
+  _scrollToPos(pos, behavior) {
+    // 視差効果を減らす設定の場合はアニメーションせずに移動
+    if (behavior === 'smooth' && this._prefersReducedMotion()) behavior = 'instant';
+    if (this._virtualSpacers) {
+      if (behavior === 'smooth' && !this._isVirtualRendered(pos)) {
+        this._seekVirtual(pos);
+        return;
+      }
+      this._clearVirtualSeek();
+    }
+    this.viewport.scrollTo(this._isVertical()
+      ? { top: pos, behavior }
+      : { left: this._toScrollLeft(pos), behavior });
+    if (this._virtualSpacers && behavior !== 'smooth') this._renderVirtualWindow();
+  }
+
+  _prefersReducedMotion() {
+    return !!(window.matchMedia && window.matchMedia(REDUCED_MOTION_QUERY).matches);
+  }
+
+  _getMaxScrollPos() {
+    return this._isVertical()
+      ? this.viewport.scrollHeight - this.viewport.clientHeight
+      : this.viewport.scrollWidth - this.viewport.clientWidth;
   }
 
   /**
@@ -551,124 +1661,599 @@ class OverflowCarousel {
    * - 左側で部分的に見えている: .ofc-slide-inpeek-left
    * - 右側で部分的に見えている: .ofc-slide-inpeek-right
    * - 見えていない: .ofc-slide-outview
+   * 現在のスライド（中央揃えでは中央のスライド、asNavFor で連動するサムネイルでは選択中のスライド）には
+   * .ofc-slide-active と aria-current を付与
+   * 見えていないスライドは inert にしてキーボード・支援技術から隠し、クローンは見えていても読み上げ・Tab キーの対象から外す
    */
   _updateVisibilityClasses() {
-    if (!this.viewport || !this.track) return;
+    if (this._destroyed || !this.viewport || !this.track) return;
 
     // すべてのスライドを取得
     const slides = this.track.querySelectorAll('.ofc-slide');
     if (!slides.length) return;
 
-    // 現在の表示開始インデックス（実スライドのインデックス）
+    // 現在の表示開始インデックス（実スライドのインデックス、中央揃えでは中央のスライド）
     const currentIndex = this._getCurrentIndex();
+    const activeIndex = this._getActiveIndex(currentIndex);
     const itemsVisible = this.options.itemsVisible;
     const hasPeek = this._peekPx > 0;
+
+    // 完全に見えている相対位置の範囲 [first, last]
+    // 中央揃えでは現在のスライドの前後に振り分ける（偶数個の場合は両隣が半分ずつ見える）
+    let first = 0;
+    let last = itemsVisible - 1;
+    let hasPeekBefore = hasPeek;
+    let hasPeekAfter = hasPeek;
+    if (this._isCentered()) {
+      const half = Math.floor((itemsVisible - 1) / 2);
+      first = -half;
+      last = half;
+      hasPeekBefore = hasPeekAfter = hasPeek || itemsVisible % 2 === 0;
+    }
     const originalCount = this._originalCount || slides.length;
 
+    // 可変幅では相対位置ではなく、スライドの実際の位置と viewport の重なりで判定
+    const autoWidth = this._isAutoWidth();
+    const trackRect = autoWidth ? this.track.getBoundingClientRect() : null;
+    const scrollPos = autoWidth ? this._getScrollPos() : 0;
+    const viewportSize = autoWidth ? this._getViewportSize() : 0;
+
+    // lazy: 一部でも見えている実スライドのインデックス
+    const visibleIndices = new Set();
+
     slides.forEach((slide, slideIndex) => {
       // infinite モードの場合、スライドのインデックスを実スライドのインデックスに変換
-      let actualIndex;
+      // （[末尾側のクローン] [実スライド] [先頭側のクローン]、クローンは _cloneCount 枚ずつ）
+      // items では描画したスライドの track 内の位置から変換
+      const actualIndex = this._isVirtual() ? this._getSlideIndex(slide) : this._toSlideIndex(slideIndex);
+
+      // 現在のインデックスを基準とした相対位置を計算
+      let relativePosition = actualIndex - currentIndex;
+      
+      // infinite モードの場合、最短距離を計算（ループを考慮）
       if (this.options.infinite) {
-        // infinite モードでは: [クローン] [実スライド] [クローン]
-        // 実スライドは originalCount 番目から始まる
-        if (slideIndex < originalCount) {
-          // 開始クローン
-          actualIndex = slideIndex;
-        } else if (slideIndex < originalCount * 2) {
-          // 実スライド
-          actualIndex = slideIndex - originalCount;
+        if (relativePosition > originalCount / 2) {
+          relativePosition -= originalCount;
+        } else if (relativePosition < -originalCount / 2) {
+          relativePosition += originalCount;
+        }
+      }
+
+      // クラスを削除
+      slide.classList.remove('ofc-slide-inview', 'ofc-slide-inpeek-left', 'ofc-slide-inpeek-right', 'ofc-slide-outview');
+
+      // 現在のスライド（クローンにもクラスを付与して見た目を揃える）
+      const isActive = actualIndex === activeIndex;
+      slide.classList.toggle('ofc-slide-active', isActive);
+
+      if (this._isStacked()) {
+        // 重ねて表示する effect では現在のスライドだけが見えている
+        slide.classList.add(relativePosition === 0 ? 'ofc-slide-inview' : 'ofc-slide-outview');
+      } else if (autoWidth) {
+        const { start, size } = this._measureSlide(slide, trackRect);
+        const slideStart = start - scrollPos;
+        const slideEnd = slideStart + size;
+        // サブピクセルの誤差を許容
+        if (slideStart >= -1 && slideEnd <= viewportSize + 1) {
+          slide.classList.add('ofc-slide-inview');
+        } else if (slideStart < 0 && slideEnd > 0) {
+          slide.classList.add('ofc-slide-inpeek-left');
+        } else if (slideStart < viewportSize && slideEnd > viewportSize) {
+          slide.classList.add('ofc-slide-inpeek-right');
         } else {
-          // 終端クローン
-          actualIndex = slideIndex - originalCount * 2;
+          slide.classList.add('ofc-slide-outview');
         }
+      }
+      // 完全に見えている範囲: [first, last]
+      else if (relativePosition >= first && relativePosition <= last) {
+        slide.classList.add('ofc-slide-inview');
+      }
+      // 左側のpeek領域: first - 1
+      else if (hasPeekBefore && relativePosition === first - 1) {
+        slide.classList.add('ofc-slide-inpeek-left');
+      }
+      // 右側のpeek領域: last + 1
+      else if (hasPeekAfter && relativePosition === last + 1) {
+        slide.classList.add('ofc-slide-inpeek-right');
+      }
+      // それ以外は見えていない
+      else {
+        slide.classList.add('ofc-slide-outview');
+      }
+
+      const isClone = slide.classList.contains('ofc-slide-clone');
+      if (isActive && !isClone) {
+        slide.setAttribute('aria-current', 'true');
       } else {
-        actualIndex = slideIndex;
+        slide.removeAttribute('aria-current');
+      }
+      this._setSlideHidden(slide, slide.classList.contains('ofc-slide-outview'));
+      if (!slide.classList.contains('ofc-slide-outview')) visibleIndices.add(actualIndex);
+    });
+
+    if (this.options.lazy) this._loadNearbySlides(visibleIndices);
+  }
+
+  _loadNearbySlides(visibleIndices) {
+    // 見えているスライドと、その前後 lazyPreload 枚以内のスライドを読み込む
+    // items ではクローンも別に描画されるため、描画済みのすべてのスライドが対象
+    const virtual = this._isVirtual();
+    const slides = this._getLazySlides();
+    const count = this._originalCount || 0;
+    const preload = Math.max(0, parseInt(this.options.lazyPreload, 10) || 0);
+    slides.forEach((slide, i) => {
+      if (this._lazyStates.has(slide)) return;
+      const index = virtual ? this._getSlideIndex(slide) : i;
+      for (let offset = -preload; offset <= preload; offset++) {
+        const target = this.options.infinite ? (((index + offset) % count) + count) % count : index + offset;
+        if (visibleIndices.has(target)) {
+          this._loadSlide(slide);
+          return;
+        }
+      }
+    });
+  }
+
+  _loadAllSlides() {
+    this._getLazySlides().forEach((slide) => {
+      if (!this._lazyStates.has(slide)) this._loadSlide(slide);
+    });
+  }
+
+  _getLazySlides() {
+    if (this._isVirtual()) return this.track ? Array.from(this.track.querySelectorAll('.ofc-slide')) : [];
+    return this._getOriginalSlides();
+  }
+
+  _getSlideCopies(slide) {
+    // 実スライドと、そのクローン
+    if (!this.track) return [slide];
+    const clones = Array.from(this.track.querySelectorAll('.ofc-slide-clone'))
+      .filter(clone => this._cloneSources.get(clone) === slide);
+    return [slide, ...clones];
+  }
+
+  _loadSlide(slide) {
+    // 読み込む内容がないスライドはクラスを付与しない
+    if (!slide.querySelector(':scope > template, [data-src], [data-srcset]')) {
+      this._lazyStates.set(slide, 'none');
+      return;
+    }
+    this._lazyStates.set(slide, 'loading');
+
+    // クローンにも同時に反映し、同じ画像が別々に表示されないようにする
+    const copies = this._getSlideCopies(slide);
+    copies.forEach((copy) => {
+      copy.querySelectorAll(':scope > template').forEach(template => template.replaceWith(template.content.cloneNode(true)));
+      copy.querySelectorAll('[data-srcset]').forEach((el) => {
+        el.setAttribute('srcset', el.dataset.srcset);
+        el.removeAttribute('data-srcset');
+      });
+      copy.querySelectorAll('[data-src]').forEach((el) => {
+        el.setAttribute('src', el.dataset.src);
+        el.removeAttribute('data-src');
+      });
+      copy.classList.add('ofc-slide-loading');
+    });
+
+    // すべてのコピーの画像が読み込まれた（または失敗した）時点で完了
+    const images = copies
+      .flatMap(copy => Array.from(copy.querySelectorAll('img')))
+      .filter(img => !img.complete);
+    let pending = images.length;
+    let failed = false;
+    const settle = () => {
+      if (--pending > 0) return;
+      this._finishSlideLoad(slide, failed ? 'error' : 'loaded');
+    };
+    if (!pending) {
+      this._finishSlideLoad(slide, 'loaded');
+      return;
+    }
+    images.forEach((img) => {
+      img.addEventListener('load', settle, { once: true });
+      img.addEventListener('error', () => {
+        failed = true;
+        settle();
+      }, { once: true });
+    });
+  }
+
+  _finishSlideLoad(slide, state) {
+    this._lazyStates.set(slide, state);
+    if (this._destroyed) return;
+    // 読み込み中に作り直されたクローンも含めて状態を揃える
+    this._getSlideCopies(slide).forEach((copy) => {
+      copy.classList.remove('ofc-slide-loading');
+      copy.classList.add(state === 'error' ? 'ofc-slide-error' : 'ofc-slide-loaded');
+    });
+    const index = this._getSlideIndex(slide);
+    this._emit(state === 'error' ? 'lazy:error' : 'lazy:load', { index, slide });
+  }
+
+  _setupControls() {
+    const viewport = this.root.querySelector('.ofc-viewport');
+    const prevBtn = this.root.querySelector('.ofc-nav.ofc-prev');
+    const nextBtn = this.root.querySelector('.ofc-nav.ofc-next');
+
+    if (!viewport) {
+      console.warn('OverflowCarousel: .ofc-viewport not found');
+      return;
+    }
+
+    // 前ボタン
+    this._prevBtn = prevBtn;
+    this._onPrevClick = () => this.prev();
+    prevBtn && prevBtn.addEventListener('click', this._onPrevClick);
+
+    // 次ボタン
+    this._nextBtn = nextBtn;
+    this._onNextClick = () => this.next();
+    nextBtn && nextBtn.addEventListener('click', this._onNextClick);
+
+    // キーボード操作対応（carousel内のフォーカスのみ反応）
+    this._keyboardListener = (e) => {
+      // dots（tab）にフォーカスがある場合は tab 間を移動（dotsContainer で外に置いた dots を含む）
+      if (this._dotButtons && this._dotButtons.includes(document.activeElement)) {
+        this._handleDotKeydown(e);
+        return;
+      }
+
+      // carousel内にフォーカスがない場合は無視
+      if (!this.root.contains(document.activeElement)) return;
+      
+      // 縦方向では ArrowUp / ArrowDown、RTL では左右を入れ替えて操作
+      let prevKey = 'ArrowLeft';
+      let nextKey = 'ArrowRight';
+      if (this._isVertical()) {
+        prevKey = 'ArrowUp';
+        nextKey = 'ArrowDown';
+      } else if (this._isRtl) {
+        prevKey = 'ArrowRight';
+        nextKey = 'ArrowLeft';
+      }
+      if (e.key !== prevKey && e.key !== nextKey) return;
+      // viewport 自体のフォーカス時はブラウザ標準のスクロールと二重に動かさない
+      if (e.target === this.viewport) e.preventDefault();
+      if (e.key === prevKey) {
+        this.prev();
+      }
+      if (e.key === nextKey) {
+        this.next();
+      }
+    };
+    document.addEventListener('keydown', this._keyboardListener);
+  }
+
+  _setupDrag() {
+    // Pointer Events でマウスのドラッグをスクロールに変換（タッチはブラウザ標準のスクロールに任せる）
+    if (!this.viewport || this._onDragStart) return;
+    this.root.classList.add('ofcarousel--draggable');
+
+    this._onDragStart = (e) => {
+      // effect（fade など）ではスワイプで切り替えるため対象外
+      if (e.pointerType !== 'mouse' || e.button !== 0 || this._isStacked()) return;
+      this._cancelDragSettle();
+      this._drag = {
+        pointerId: e.pointerId,
+        startX: e.clientX,
+        startY: e.clientY,
+        lastX: e.clientX,
+        lastY: e.clientY,
+        moved: false,
+        samples: []
+      };
+    };
+
+    this._onDragMove = (e) => {
+      const drag = this._drag;
+      if (!drag || e.pointerId !== drag.pointerId) return;
+      if (!drag.moved) {
+        const distance = Math.max(Math.abs(e.clientX - drag.startX), Math.abs(e.clientY - drag.startY));
+        if (distance < DRAG_THRESHOLD) return;
+        // ドラッグ開始: スナップを無効にしてポインターを捕捉
+        drag.moved = true;
+        this.root.classList.add('ofc-dragging');
+        this.viewport.setPointerCapture && this.viewport.setPointerCapture(e.pointerId);
+        // スナップし終わるまでオートプレイを止める
+        this._pauseReasons && this._addPauseReason('drag');
+      }
+      // 前回からの移動量でスクロール（ドラッグ中のクローン領域のジャンプに追従するため差分で計算）
+      let delta = this._isVertical() ? drag.lastY - e.clientY : drag.lastX - e.clientX;
+      if (this._isRtl && !this._isVertical()) delta = -delta;
+      drag.lastX = e.clientX;
+      drag.lastY = e.clientY;
+      const pos = this._getScrollPos() + delta;
+      this._setScrollPos(pos);
+
+      // 慣性の速度計算用に直近の位置を記録
+      const now = performance.now();
+      drag.samples.push({ time: now, pos });
+      while (drag.samples.length > 2 && now - drag.samples[0].time > 100) drag.samples.shift();
+    };
+
+    this._onDragEnd = (e) => {
+      const drag = this._drag;
+      if (!drag || e.pointerId !== drag.pointerId) return;
+      this._drag = null;
+      if (!drag.moved) return;
+
+      if (this.viewport.hasPointerCapture && this.viewport.hasPointerCapture(e.pointerId)) {
+        this.viewport.releasePointerCapture(e.pointerId);
+      }
+      this.root.classList.remove('ofc-dragging');
+
+      // ドラッグ直後のクリック（リンク・画像）を無効化
+      this._suppressClick = true;
+      setTimeout(() => { this._suppressClick = false; }, 0);
+
+      // 離した時の速度で慣性移動し、最も近いスライドにスナップ
+      const pos = this._getScrollPos();
+      let velocity = 0;
+      const first = drag.samples[0];
+      const last = drag.samples[drag.samples.length - 1];
+      if (e.type !== 'pointercancel' && first && last !== first && performance.now() - last.time < 50) {
+        velocity = (last.pos - first.pos) / (last.time - first.time);
       }
+      this._settleDrag(this._getSnapTarget(pos + velocity * DRAG_MOMENTUM));
+    };
+
+    this._onDragClick = (e) => {
+      if (!this._suppressClick) return;
+      e.preventDefault();
+      e.stopPropagation();
+      this._suppressClick = false;
+    };
+    // 画像・リンクのブラウザ標準のドラッグを無効化
+    this._onNativeDragStart = (e) => e.preventDefault();
+
+    this.viewport.addEventListener('pointerdown', this._onDragStart);
+    this.viewport.addEventListener('pointermove', this._onDragMove);
+    this.viewport.addEventListener('pointerup', this._onDragEnd);
+    this.viewport.addEventListener('pointercancel', this._onDragEnd);
+    this.viewport.addEventListener('click', this._onDragClick, true);
+    this.viewport.addEventListener('dragstart', this._onNativeDragStart);
+  }
+
+  _teardownDrag() {
+    if (!this.viewport || !this._onDragStart) return;
+    this.viewport.removeEventListener('pointerdown', this._onDragStart);
+    this.viewport.removeEventListener('pointermove', this._onDragMove);
+    this.viewport.removeEventListener('pointerup', this._onDragEnd);
+    this.viewport.removeEventListener('pointercancel', this._onDragEnd);
+    this.viewport.removeEventListener('click', this._onDragClick, true);
+    this.viewport.removeEventListener('dragstart', this._onNativeDragStart);
+    this._onDragStart = null;
+    this._onDragMove = null;
+    this._onDragEnd = null;
+    this._onDragClick = null;
+    this._onNativeDragStart = null;
+    this._drag = null;
+    this._cancelDragSettle();
+    this.root.classList.remove('ofcarousel--draggable', 'ofc-dragging');
+  }
+
+  _getSnapTarget(pos) {
+    // pos に最も近いスナップ位置（non-infinite では終端の位置も候補）
+    const max = this._getMaxScrollPos();
+    let target;
+    if (this._isAutoWidth()) {
+      const slides = this.track.querySelectorAll('.ofc-slide');
+      target = this._getSnapPos(slides[this._getNearestSlideIndex(slides, pos)]);
+    } else {
+      const step = this._getStep();
+      if (!step) return pos;
+      const base = this._getBasePos(step);
+      target = base + Math.round((pos - base) / step) * step;
+    }
+    target = Math.min(Math.max(0, target), max);
+    if (!this.options.infinite && Math.abs(max - pos) < Math.abs(target - pos)) target = max;
+    return target;
+  }
 
-      // 現在のインデックスを基準とした相対位置を計算
-      let relativePosition = actualIndex - currentIndex;
-      
-      // infinite モードの場合、最短距離を計算（ループを考慮）
-      if (this.options.infinite) {
-        if (relativePosition > originalCount / 2) {
-          relativePosition -= originalCount;
-        } else if (relativePosition < -originalCount / 2) {
-          relativePosition += originalCount;
-        }
-      }
+  _settleDrag(target) {
+    // スナップ位置までスムーズに移動し、止まるまで CSS のスナップを無効にしておく
+    // （スナップを先に戻すとブラウザが即座に位置を補正してしまうため）
+    this._clearDragSettle();
+    this.root.classList.add('ofc-drag-settling');
+    this._onDragSettleScroll = () => {
+      clearTimeout(this._dragSettleTimer);
+      this._dragSettleTimer = setTimeout(() => this._cancelDragSettle(), SCROLL_DEBOUNCE_DELAY);
+    };
+    this.viewport.addEventListener('scroll', this._onDragSettleScroll, { passive: true });
+    this._onDragSettleScroll();
+    this._scrollToPos(target, 'smooth');
+  }
 
-      // クラスを削除
-      slide.classList.remove('ofc-slide-inview', 'ofc-slide-inpeek-left', 'ofc-slide-inpeek-right', 'ofc-slide-outview');
+  _clearDragSettle() {
+    clearTimeout(this._dragSettleTimer);
+    this._onDragSettleScroll && this.viewport.removeEventListener('scroll', this._onDragSettleScroll);
+    this._onDragSettleScroll = null;
+    this.root.classList.remove('ofc-drag-settling');
+  }
 
-      // 完全に見えている範囲: [0, itemsVisible)
-      if (relativePosition >= 0 && relativePosition < itemsVisible) {
-        slide.classList.add('ofc-slide-inview');
+  _cancelDragSettle() {
+    // スナップの完了（または中断）: CSS のスナップとオートプレイを戻す
+    this._clearDragSettle();
+    this._pauseReasons && this._removePauseReason('drag');
+  }
+
+  _setupWheel() {
+    // ホイールの delta をカルーセルの移動に変換（端に達した non-infinite ではページのスクロールに任せる）
+    if (!this.viewport || this._onWheel) return;
+    this._wheelState = { accum: 0, lastTime: 0, lastDelta: 0, locked: false, navigatedAt: 0 };
+
+    this._onWheel = (e) => {
+      // ピンチズーム（ctrlKey 付きのホイール）は対象外
+      if (e.ctrlKey) return;
+
+      // 行・ページ単位の delta を px に揃える
+      const unit = e.deltaMode === 1 ? 16 : e.deltaMode === 2 ? this._getViewportSize() : 1;
+      const crossAxis = this._isVertical()
+        ? Math.abs(e.deltaX) > Math.abs(e.deltaY)
+        : Math.abs(e.deltaY) > Math.abs(e.deltaX);
+      let delta = (Math.abs(e.deltaX) > Math.abs(e.deltaY) ? e.deltaX : e.deltaY) * unit;
+      // RTL の横方向の delta は右が先頭側
+      if (this._isRtl && !this._isVertical() && !crossAxis) delta = -delta;
+      if (!delta) return;
+
+      const step = this.options.wheel === 'step' || this._isStacked();
+      // 自由スクロールでは、スクロール方向と同じ軸の操作はブラウザ標準のスクロールに任せる
+      if (!step && !crossAxis) return;
+
+      const state = this._wheelState;
+      const now = performance.now();
+      const direction = delta > 0 ? 1 : -1;
+      // 間隔が空いた、または慣性中に再び勢いよく操作した場合は新しいジェスチャー
+      const isNewGesture = now - state.lastTime > WHEEL_GESTURE_GAP ||
+        (state.locked && Math.abs(delta) > Math.abs(state.lastDelta) * 1.5 && now - state.navigatedAt > WHEEL_COOLDOWN);
+      if (isNewGesture) {
+        state.accum = 0;
+        state.locked = false;
       }
-      // 左側のpeek領域: -1
-      else if (hasPeek && relativePosition === -1) {
-        slide.classList.add('ofc-slide-inpeek-left');
+      state.lastTime = now;
+      state.lastDelta = delta;
+
+      // ジェスチャーの開始時に端に達していれば、ページのスクロールに任せる
+      if (!state.locked && !this.options.infinite && (direction > 0 ? this.isAtEnd() : this.isAtStart())) {
+        return;
       }
-      // 右側のpeek領域: itemsVisible
-      else if (hasPeek && relativePosition === itemsVisible) {
-        slide.classList.add('ofc-slide-inpeek-right');
+      e.preventDefault();
+
+      if (!step) {
+        // 縦ホイールを横スクロールに変換（スナップはブラウザに任せる）
+        const physical = this._isRtl ? -delta : delta;
+        this.viewport.scrollBy(this._isVertical() ? { top: delta } : { left: physical });
+        return;
       }
-      // それ以外は見えていない
-      else {
-        slide.classList.add('ofc-slide-outview');
+
+      // 1ジェスチャーで1回だけ移動（慣性の残りのイベントは無視）
+      if (state.locked) return;
+      state.accum += delta;
+      if (Math.abs(state.accum) < WHEEL_THRESHOLD) return;
+      state.locked = true;
+      state.navigatedAt = now;
+      if (state.accum > 0) {
+        this.next();
+      } else {
+        this.prev();
       }
-    });
+    };
+    this.viewport.addEventListener('wheel', this._onWheel, { passive: false });
   }
 
-  _setupControls() {
-    const viewport = this.root.querySelector('.ofc-viewport');
-    const prevBtn = this.root.querySelector('.ofc-nav.ofc-prev');
-    const nextBtn = this.root.querySelector('.ofc-nav.ofc-next');
-
-    if (!viewport) {
-      console.warn('OverflowCarousel: .ofc-viewport not found');
-      return;
-    }
+  _teardownWheel() {
+    if (!this.viewport || !this._onWheel) return;
+    this.viewport.removeEventListener('wheel', this._onWheel);
+    this._onWheel = null;
+    this._wheelState = null;
+  }
 
-    // スクロール距離計算: 1スライド幅 + gap
-    const calculateScrollDistance = () => {
-      const track = this.root.querySelector('.ofc-track');
-      const firstSlide = track.querySelector('.ofc-slide');
-      if (firstSlide) {
-        return firstSlide.offsetWidth + this._parsePixels(this.options.gap);
+  _setupNav() {
+    // asNavFor: スライドのクリックで、このカルーセルと連動するカルーセルを移動
+    if (!this.track || this._onNavClick) return;
+    this.root.classList.add('ofcarousel--nav');
+    this._navLinked = true;
+    this._onNavClick = (e) => {
+      const slide = e.target.closest('.ofc-slide');
+      if (!slide || !this.track.contains(slide) || !this._originalCount) return;
+      // クローンは実スライドのインデックスに変換
+      const index = this._getSlideIndex(slide);
+      if (index < 0) return;
+      if (this._followsScroll()) {
+        // 移動後の change で選択され、連動するカルーセルに伝わる
+        this._restartAutoplay(this._scrollToIndex(index));
+      } else {
+        this._select(index);
+        this._revealIndex(index);
       }
-      return 0;
     };
+    this.track.addEventListener('click', this._onNavClick);
+  }
 
-    // 前ボタン
-    prevBtn && prevBtn.addEventListener('click', () => {
-      const distance = calculateScrollDistance();
-      viewport.scrollBy({ left: -distance, behavior: 'smooth' });
-      this._restartAutoplay();
+  _teardownNav() {
+    if (!this.track || !this._onNavClick) return;
+    this.track.removeEventListener('click', this._onNavClick);
+    this._onNavClick = null;
+    this.root.classList.remove('ofcarousel--nav');
+  }
+
+  _getNavTargets() {
+    // asNavFor で指定されたカルーセル（後から初期化される場合があるため毎回解決）
+    const specs = [].concat(this.options.asNavFor || []);
+    const targets = [];
+    specs.forEach((spec) => {
+      const elements = typeof spec === 'string'
+        ? Array.from(document.querySelectorAll(spec))
+        : [spec instanceof OverflowCarousel ? spec.root : spec];
+      elements.forEach((el) => {
+        const instance = el && INSTANCES.get(el);
+        if (instance && instance !== this && !targets.includes(instance)) targets.push(instance);
+      });
     });
+    return targets;
+  }
 
-    // 次ボタン
-    nextBtn && nextBtn.addEventListener('click', () => {
-      const distance = calculateScrollDistance();
-      viewport.scrollBy({ left: distance, behavior: 'smooth' });
-      this._restartAutoplay();
+  _followsScroll() {
+    // 1枚ずつ表示（中央揃え・effect を含む）するカルーセルは、表示中のスライドがそのまま選択になる
+    // 複数枚を並べるサムネイルは、クリックか連動でのみ選択が変わる
+    return this.options.itemsVisible === 1 || this._isCentered() || this._isStacked();
+  }
+
+  _getActiveIndex(currentIndex = this._getCurrentIndex()) {
+    // .ofc-slide-active を付与するスライド
+    return this._navLinked && !this._followsScroll() ? this._selectedIndex : currentIndex;
+  }
+
+  _select(index, source) {
+    // 選択中のスライドを変更し、asNavFor のカルーセルに伝える（相互に指定されていても往復しない）
+    this._selectedIndex = index;
+    if (this._navLinked && !this._followsScroll()) {
+      this._updateVisibilityClasses();
+    }
+    if (this._syncing) return;
+    this._syncing = true;
+    this._getNavTargets().forEach((target) => {
+      if (target !== source) target._syncFrom(this, index);
     });
+    this._syncing = false;
+  }
 
-    // キーボード操作対応（carousel内のフォーカスのみ反応）
-    this._keyboardListener = (e) => {
-      // carousel内にフォーカスがない場合は無視
-      if (!this.root.contains(document.activeElement)) return;
-      
-      const distance = calculateScrollDistance();
-      if (e.key === 'ArrowLeft') {
-        viewport.scrollBy({ left: -distance, behavior: 'smooth' });
-        this._restartAutoplay();
-      }
-      if (e.key === 'ArrowRight') {
-        viewport.scrollBy({ left: distance, behavior: 'smooth' });
-        this._restartAutoplay();
+  _syncFrom(source, index) {
+    // 連動元のカルーセルの選択に追従（スライド数が異なる場合は端に丸める）
+    if (this._destroyed || !this._originalCount) return;
+    this._navLinked = true;
+    const target = Math.min(this._originalCount - 1, Math.max(0, index));
+    if (this._followsScroll()) {
+      if (target !== this._getCurrentIndex()) {
+        this._restartAutoplay(this._scrollToIndex(target));
       }
-    };
-    document.addEventListener('keydown', this._keyboardListener);
+      return;
+    }
+    this._select(target, source);
+    this._revealIndex(target);
+  }
+
+  _revealIndex(index) {
+    // 選択したスライドが見えていなければ、見える位置までスクロール（すでに見えている場合は動かさない）
+    if (index < 0 || index >= (this._originalCount || 0)) return;
+    const current = this._getCurrentIndex();
+    const count = this._originalCount;
+    const itemsVisible = this.options.itemsVisible;
+    // 現在の表示開始位置からの相対位置（infinite では近い方向）
+    let relative = index - current;
+    if (this.options.infinite) {
+      if (relative > count / 2) relative -= count;
+      if (relative < -count / 2) relative += count;
+    }
+    if (this._isAutoWidth()) {
+      if (!this._getSlideElement(index).classList.contains('ofc-slide-inview')) this._scrollToIndex(index);
+      return;
+    }
+    if (relative >= 0 && relative < itemsVisible) return;
+    // 前にある場合は先頭に、後ろにある場合は末尾に表示
+    const start = relative < 0 ? index : index - itemsVisible + 1;
+    this._scrollToIndex(this.options.infinite ? ((start % count) + count) % count : Math.max(0, start));
   }
 
   _setupDots() {
@@ -677,31 +2262,60 @@ class OverflowCarousel {
     this.track = this.track || this.root.querySelector('.ofc-track');
     if (!this.viewport || !this.track) return;
 
-    const count = this._originalCount || this.track.querySelectorAll('.ofc-slide').length;
+    // slidesToScroll が 2 以上の場合は1ページに1つ
+    const count = this._getPageCount();
     if (!count) return;
 
+    const type = this._getDotsType();
     this._dotButtons = [];
     const container = document.createElement('div');
-    container.className = 'ofc-dots';
-    container.setAttribute('role', 'tablist');
-    container.setAttribute('aria-label', 'Carousel navigation dots');
-
-    for (let i = 0; i < count; i++) {
-      const dot = document.createElement('button');
-      dot.type = 'button';
-      dot.className = 'ofc-dot';
-      dot.setAttribute('aria-label', `Go to slide ${i + 1}`);
-      dot.addEventListener('click', () => {
-        this._scrollToIndex(i);
-        this._restartAutoplay();
-      });
-      container.appendChild(dot);
-      this._dotButtons.push(dot);
+    this._dotsContainer = container;
+    container.className = `ofc-dots ofc-dots--${type}`;
+
+    if (type === 'fraction' || type === 'progress') {
+      // 「3 / 12」・進捗バーは表示のみ（スライドの変更はライブリージョンで読み上げる）
+      container.setAttribute('aria-hidden', 'true');
+      if (type === 'fraction') {
+        container.innerHTML = '<span class="ofc-dots-current"></span>'
+          + '<span class="ofc-dots-separator"> / </span>'
+          + '<span class="ofc-dots-total"></span>';
+      } else {
+        container.innerHTML = '<span class="ofc-dots-bar"></span>';
+      }
+    } else {
+      container.setAttribute('role', 'tablist');
+      // items では描画していないスライドがあるため、dotsRender にはデータを渡す
+      const slides = this._isVirtual() ? [] : this._getOriginalSlides();
+      const items = this._isVirtual() ? this.options.items : [];
+
+      // ラベル・aria-controls は _updateA11yAttributes() で設定
+      for (let i = 0; i < count; i++) {
+        const dot = document.createElement('button');
+        dot.type = 'button';
+        dot.className = 'ofc-dot';
+        dot.setAttribute('role', 'tab');
+        const start = this._getPageStartIndex(i);
+        this._renderDot(dot, type, i, slides[start], items[start]);
+        dot.addEventListener('click', () => {
+          this._restartAutoplay(this._scrollToIndex(this._getPageStartIndex(i)));
+        });
+        container.appendChild(dot);
+        this._dotButtons.push(dot);
+      }
+
+      // dotsDynamic: 選択中の dot の前後だけを表示し、離れた dot を畳む
+      const dynamic = this.options.dotsDynamic === true ? 5 : parseInt(this.options.dotsDynamic, 10);
+      this._dotsDynamicCount = dynamic > 0 && count > dynamic ? dynamic : 0;
+      this._dotsWindowStart = 0;
+      container.classList.toggle('ofc-dots--dynamic', !!this._dotsDynamicCount);
     }
 
-    // .ofc-navs 内に dots を配置
+    // dotsContainer が指定されていればその中に、なければ .ofc-navs 内に dots を配置
+    const host = this._getDotsHost();
     const navsContainer = this.root.querySelector('.ofc-navs');
-    if (navsContainer) {
+    if (host) {
+      host.appendChild(container);
+    } else if (navsContainer) {
       const prevBtn = navsContainer.querySelector('.ofc-prev');
       const nextBtn = navsContainer.querySelector('.ofc-next');
       // prevBtn と nextBtn の間に dots を挿入
@@ -718,6 +2332,59 @@ class OverflowCarousel {
     this._updateActiveDot(this._getCurrentIndex());
   }
 
+  _getDotsType() {
+    // dots: true は 'bullets'、未知の値も 'bullets' として扱う
+    const types = ['bullets', 'numbers', 'thumbs', 'fraction', 'progress'];
+    return types.includes(this.options.dots) ? this.options.dots : 'bullets';
+  }
+
+  _getDotsHost() {
+    const spec = this.options.dotsContainer;
+    if (!spec) return null;
+    return typeof spec === 'string' ? document.querySelector(spec) : spec;
+  }
+
+  _renderDot(dot, type, page, slide, item) {
+    // dotsRender が指定されていれば、dot の中身をページの先頭スライド（items ではデータ）から生成
+    if (typeof this.options.dotsRender === 'function') {
+      const content = this.options.dotsRender(page, slide, item);
+      if (content instanceof Node) {
+        dot.appendChild(content);
+      } else if (content != null) {
+        dot.innerHTML = content;
+      }
+      return;
+    }
+    if (type === 'numbers') {
+      dot.textContent = String(page + 1);
+    } else if (type === 'thumbs') {
+      // data-ofc-thumb、なければスライド内の最初の画像をサムネイルにする
+      const img = slide && slide.querySelector('img');
+      const src = (slide && slide.dataset.ofcThumb) || (img && (img.currentSrc || img.src || img.dataset.src));
+      if (!src) return;
+      const thumb = document.createElement('img');
+      thumb.src = src;
+      thumb.alt = '';
+      thumb.draggable = false;
+      dot.appendChild(thumb);
+    }
+  }
+
+  _rebuildDots() {
+    // スライド数の変化に合わせて dots を作り直す
+    this._removeDots();
+    this._setupDots();
+  }
+
+  _removeDots() {
+    if (this._dotsContainer) {
+      this._dotsContainer.remove();
+      this._dotsContainer = null;
+    }
+    this._dotButtons = [];
+    this._dotsDynamicCount = 0;
+  }
+
   _attachActiveTracker() {
     if (!this.viewport || this._activeTrackerAttached) return;
     let ticking = false;
@@ -734,131 +2401,706 @@ class OverflowCarousel {
   }
 
   _updateActiveDot(index) {
+    if (!this._dotsContainer) return;
+    const page = this._getPageIndex(index);
+    const type = this._getDotsType();
+    if (type === 'fraction' || type === 'progress') {
+      const total = this._getPageCount();
+      if (type === 'fraction') {
+        this._dotsContainer.querySelector('.ofc-dots-current').textContent = String(page + 1);
+        this._dotsContainer.querySelector('.ofc-dots-total').textContent = String(total);
+      } else {
+        this._dotsContainer.style.setProperty('--ofc-dots-progress', String((page + 1) / total));
+      }
+      return;
+    }
     if (!this._dotButtons || !this._dotButtons.length) return;
     this._dotButtons.forEach((dot, i) => {
-      if (i === index) {
-        dot.classList.add('is-active');
-        dot.setAttribute('aria-current', 'true');
+      const active = i === page;
+      dot.classList.toggle('is-active', active);
+      dot.setAttribute('aria-selected', active ? 'true' : 'false');
+      // roving tabindex: Tab キーでは選択中の dot のみにフォーカス
+      dot.tabIndex = active ? 0 : -1;
+    });
+    if (this._dotsDynamicCount) this._updateDynamicDots(page);
+  }
+
+  _updateDynamicDots(page) {
+    // 表示する範囲は選択中の dot が範囲の外に出た時だけずらす
+    const size = this._dotsDynamicCount;
+    const count = this._dotButtons.length;
+    let start = this._dotsWindowStart;
+    if (page < start) start = page;
+    if (page >= start + size) start = page - size + 1;
+    start = Math.min(Math.max(0, start), count - size);
+    this._dotsWindowStart = start;
+
+    // 範囲のすぐ外の dot は小さく、それより離れた dot は非表示にする
+    this._dotButtons.forEach((dot, i) => {
+      const distance = i < start ? start - i : Math.max(0, i - (start + size - 1));
+      dot.classList.toggle('ofc-dot--edge', distance === 1);
+      dot.classList.toggle('ofc-dot--hidden', distance > 1);
+    });
+  }
+
+  _handleDotKeydown(e) {
+    // WAI-ARIA の tab パターン: 矢印キーで前後、Home / End で先頭・末尾の tab に移動
+    const count = this._dotButtons.length;
+    const current = this._dotButtons.indexOf(document.activeElement);
+    const prevKeys = this._isVertical() ? ['ArrowUp', 'ArrowLeft'] : [this._isRtl ? 'ArrowRight' : 'ArrowLeft'];
+    const nextKeys = this._isVertical() ? ['ArrowDown', 'ArrowRight'] : [this._isRtl ? 'ArrowLeft' : 'ArrowRight'];
+    let target;
+    if (prevKeys.includes(e.key)) {
+      target = current - 1;
+    } else if (nextKeys.includes(e.key)) {
+      target = current + 1;
+    } else if (e.key === 'Home') {
+      target = 0;
+    } else if (e.key === 'End') {
+      target = count - 1;
+    } else {
+      return;
+    }
+    target = this.options.infinite
+      ? ((target % count) + count) % count
+      : Math.min(count - 1, Math.max(0, target));
+
+    e.preventDefault();
+    this._dotButtons[target].focus();
+    this._restartAutoplay(this._scrollToIndex(this._getPageStartIndex(target)));
+  }
+
+  _getSlidesToScroll() {
+    // 1回の移動で進むスライド数（'page' は itemsVisible）
+    // effect では1画面に1スライドのため 'page' は 1
+    const value = this.options.slidesToScroll === 'page'
+      ? (this._isStacked() ? 1 : this.options.itemsVisible)
+      : parseInt(this.options.slidesToScroll, 10);
+    return Math.max(1, Math.min(value || 1, this._originalCount || 1));
+  }
+
+  _getPageCount() {
+    const count = this._originalCount || 0;
+    if (!count) return 0;
+    const perPage = this._getSlidesToScroll();
+    if (this.options.infinite || this._isCentered() || this._isStacked()) return Math.ceil(count / perPage);
+    // non-infinite は終端でスクロールが止まるため、最後のページは端数になる
+    return Math.ceil(this._getLastStartIndex() / perPage) + 1;
+  }
+
+  _getPageIndex(index) {
+    const pages = this._getPageCount();
+    if (!this.options.infinite && !this._isCentered() && this.isAtEnd()) return pages - 1;
+    return Math.min(pages - 1, Math.floor(index / this._getSlidesToScroll()));
+  }
+
+  _getPageStartIndex(page) {
+    // non-infinite の最後のページは終端で止まる位置から始まる（中央揃えではすべてのスライドを中央に置ける）
+    const last = this.options.infinite || this._isCentered() || this._isStacked()
+      ? this._originalCount - 1
+      : this._getLastStartIndex();
+    return Math.min(last, page * this._getSlidesToScroll());
+  }
+
+  _getLastStartIndex() {
+    // non-infinite で終端までスクロールした時に先頭に表示されるスライドのインデックス
+    const count = this._originalCount || 0;
+    if (!this._isAutoWidth() || !this.track) return Math.max(0, count - this.options.itemsVisible);
+    return this._getNearestSlideIndex(this.track.querySelectorAll('.ofc-slide'), this._getMaxScrollPos());
+  }
+
+  _setupA11y() {
+    if (!this.viewport || !this.track) return;
+
+    // スクロール領域はキーボードでフォーカスできるようにする
+    this._setDefaultAttribute(this.viewport, 'tabindex', '0');
+
+    // スライドの変更を読み上げるライブリージョン（視覚的には非表示）
+    this._liveRegion = document.createElement('div');
+    this._liveRegion.className = 'ofc-live-region';
+    this._liveRegion.setAttribute('aria-live', 'polite');
+    this._liveRegion.setAttribute('aria-atomic', 'true');
+    this.root.appendChild(this._liveRegion);
+
+    this._updateA11yAttributes();
+  }
+
+  /**
+   * ルート・ボタン・スライド・dots の role とラベルを設定
+   * マークアップで指定済みの属性は上書きしない
+   */
+  _updateA11yAttributes() {
+    if (this._destroyed || !this.track) return;
+
+    this._setDefaultAttribute(this.root, 'role', 'region');
+    this._setDefaultAttribute(this.root, 'aria-roledescription', this._getLabel('carousel'));
+    // region には名前が必要なため、マークアップで指定されていなければ既定のラベルを付ける
+    if (!this.root.hasAttribute('aria-labelledby')) {
+      this._setDefaultAttribute(this.root, 'aria-label', this._getLabel('carouselLabel'));
+    }
+
+    const trackId = this._ensureId(this.track, 'track');
+    [[this._prevBtn, 'prev'], [this._nextBtn, 'next']].forEach(([btn, key]) => {
+      if (!btn) return;
+      this._setDefaultAttribute(btn, 'aria-controls', trackId);
+      this._setDefaultAttribute(btn, 'aria-label', this._getLabel(key));
+    });
+
+    // dots がスライドと1対1の場合は tabpanel、それ以外は group
+    // items では描画していないスライドを aria-controls で参照できないため group（ロール・ラベルは描画時に設定）
+    const virtual = this._isVirtual();
+    const hasDots = !!(this._dotButtons && this._dotButtons.length);
+    const perPage = this._getSlidesToScroll();
+    const isTabpanel = hasDots && perPage === 1 && !virtual;
+    const slides = virtual ? [] : this._getOriginalSlides();
+    const total = virtual ? this._originalCount || 0 : slides.length;
+    slides.forEach((slide, i) => {
+      const vars = { index: i + 1, total };
+      this._setDefaultAttribute(slide, 'role', isTabpanel ? 'tabpanel' : 'group');
+      this._setDefaultAttribute(slide, 'aria-roledescription', this._getLabel('slide'));
+      this._setDefaultAttribute(slide, 'aria-label', this._getLabel('slideLabel', vars));
+    });
+
+    // 各 dot はそのページのスライドを aria-controls で参照
+    if (hasDots) {
+      this._dotButtons.forEach((dot, page) => {
+        const start = this._getPageStartIndex(page);
+        if (!virtual) {
+          const pageSlides = slides.slice(start, start + perPage);
+          dot.setAttribute('aria-controls', pageSlides.map(slide => this._ensureId(slide, 'slide')).join(' '));
+        }
+        dot.setAttribute('aria-label', perPage === 1
+          ? this._getLabel('dot', { index: page + 1, total })
+          : this._getLabel('page', { index: page + 1, total: this._dotButtons.length }));
+      });
+    }
+    if (hasDots) {
+      this._dotsContainer.setAttribute('aria-label', this._getLabel('dots'));
+    }
+    this._updateAutoplayButton();
+  }
+
+  _setDefaultAttribute(el, name, value) {
+    // 初期化前に指定されていた属性（マークアップ側の指定）は尊重する
+    const original = this._domSnapshot.get(el);
+    if (original && original[name] !== null) return;
+    el.setAttribute(name, value);
+  }
+
+  _restoreAttribute(el, name) {
+    const original = this._domSnapshot.get(el);
+    const value = original ? original[name] : null;
+    if (value === null) {
+      el.removeAttribute(name);
+    } else {
+      el.setAttribute(name, value);
+    }
+  }
+
+  _ensureId(el, suffix) {
+    if (!el.id) el.id = `${this._idPrefix}-${suffix}-${++this._idSeq}`;
+    return el.id;
+  }
+
+  _getLabel(key, vars = {}) {
+    const labels = { ...DEFAULT_LABELS, ...this.options.labels };
+    return String(labels[key]).replace(/\{(\w+)\}/g, (match, name) => (name in vars ? vars[name] : match));
+  }
+
+  _setSlideHidden(slide, hidden) {
+    // 見えていないスライドをキーボード操作と読み上げの対象から外す
+    // クローンは常に読み上げの対象外だが、見えている間はクリックできるよう inert にしない（inert はクリックも無効にする）
+    const isClone = slide.classList.contains('ofc-slide-clone');
+    if (hidden && slide.contains(document.activeElement)) {
+      // フォーカス中の要素が隠れる場合は viewport にフォーカスを逃がす
+      this.viewport.focus({ preventScroll: true });
+    }
+    if (hidden || isClone) {
+      slide.setAttribute('aria-hidden', 'true');
+    } else {
+      this._restoreAttribute(slide, 'aria-hidden');
+    }
+
+    if (SUPPORTS_INERT) {
+      slide.inert = hidden;
+      if (!isClone) return;
+    }
+    // inert を使わないクローンと inert 未対応のブラウザでは、フォーカス可能な子孫を tabindex="-1" にする
+    // クローンは destroy() で削除するため、元の値を記録せずに直接設定する
+    if (isClone) {
+      slide.querySelectorAll(FOCUSABLE_SELECTOR).forEach(el => el.setAttribute('tabindex', '-1'));
+      return;
+    }
+    slide.querySelectorAll(FOCUSABLE_SELECTOR).forEach(el => {
+      if (hidden) {
+        this._snapshotElement(el);
+        el.setAttribute('tabindex', '-1');
       } else {
-        dot.classList.remove('is-active');
-        dot.removeAttribute('aria-current');
+        this._restoreAttribute(el, 'tabindex');
       }
     });
   }
 
+  _announce(index) {
+    // オートプレイで自動的に切り替わっている間は読み上げない
+    if (!this._liveRegion || this.isPlaying()) return;
+    this._liveRegion.textContent = this._getLabel('live', { index: index + 1, total: this._originalCount });
+  }
+
   _getCurrentIndex() {
     if (!this.viewport) return 0;
+    if (this._isStacked()) return this._stackIndex || 0;
     const step = this._getStep();
     if (!step || !this._originalCount) return 0;
-    const left = this.viewport.scrollLeft;
+    const pos = this._getScrollPos();
+
+    // 可変幅ではスナップ位置が最も近いスライド（クローンは実スライドのインデックスに変換）
+    if (this._isAutoWidth()) {
+      return this._toSlideIndex(this._getNearestSlideIndex(this.track.querySelectorAll('.ofc-slide'), pos));
+    }
 
     if (this.options.infinite) {
-      const base = step * this._originalCount - this._peekPx;
-      const raw = Math.round((left - base) / step);
+      const base = this._getBasePos(step);
+      const raw = Math.round((pos - base) / step);
       const normalized = ((raw % this._originalCount) + this._originalCount) % this._originalCount;
       return normalized;
     }
 
-    const raw = Math.round(left / step);
+    const raw = Math.round(pos / step);
     return Math.min(this._originalCount - 1, Math.max(0, raw));
   }
 
   _scrollToIndex(index, behavior = 'smooth') {
+    // 移動先のインデックスを返す（移動できない場合は undefined）
     if (!this.viewport) return;
     const step = this._getStep();
     if (!step) return;
 
     const clampedIndex = Math.min(this._originalCount - 1, Math.max(0, index));
-    const base = this.options.infinite ? step * this._originalCount - this._peekPx : 0;
-    const target = base + step * clampedIndex;
-    this.viewport.scrollTo({ left: target, behavior });
+    const from = this._getCurrentIndex();
+    if (clampedIndex !== from) {
+      this._emit('beforeChange', {
+        from,
+        to: clampedIndex,
+        direction: clampedIndex > from ? 'next' : 'prev'
+      });
+    }
+    if (this._isStacked()) {
+      this._transitionTo(clampedIndex, clampedIndex > from ? 'next' : 'prev', behavior);
+      return clampedIndex;
+    }
+    this._scrollToPos(this._getIndexPos(clampedIndex, step), behavior);
+    return clampedIndex;
   }
 
   _scrollByStep(direction = 1, behavior = 'smooth') {
+    // 移動先のインデックスを返す（端で止まった場合は undefined）
     if (!this.viewport || !this.track) return;
     const step = this._getStep();
     if (!step) return;
 
-    const target = this.viewport.scrollLeft + step * direction;
-    const maxLeft = this.track.scrollWidth - this.viewport.clientWidth;
-    const clamped = Math.min(Math.max(0, target), maxLeft);
+    // slidesToScroll 分まとめて移動
+    const amount = this._getSlidesToScroll();
+
+    // effect では重ねたスライドを切り替え（infinite では端でループ）
+    if (this._isStacked()) {
+      const count = this._originalCount || 0;
+      const from = this._stackIndex || 0;
+      let to = from + amount * direction;
+      if (this.options.infinite) {
+        to = ((to % count) + count) % count;
+      } else {
+        to = Math.min(count - 1, Math.max(0, to));
+        if (to === from) {
+          this._clearAutoplayTimer();
+          return;
+        }
+      }
+      const dir = direction > 0 ? 'next' : 'prev';
+      this._emit('beforeChange', { from, to, direction: dir });
+      this._transitionTo(to, dir, behavior);
+      return to;
+    }
+
+    // 連続した操作でクローンの範囲を越えないよう、スクロール終了を待たずに実スライド領域へ戻してから進める
+    const current = this.options.infinite ? this._wrapToRealRegion() : this._getScrollPos();
+    let target = current + step * amount * direction;
+    let slides;
+    if (this._isAutoWidth()) {
+      // 可変幅では現在のスライドから slidesToScroll 個先のスライドのスナップ位置へ
+      slides = this.track.querySelectorAll('.ofc-slide');
+      const nearest = this._getNearestSlideIndex(slides, current);
+      const targetSlide = Math.min(slides.length - 1, Math.max(0, nearest + amount * direction));
+      target = this._getSnapPos(slides[targetSlide]);
+    }
+    const clamped = Math.min(Math.max(0, target), this._getMaxScrollPos());
+
+    // 端に達した non-infinite のときは停止
+    if (!this.options.infinite && Math.abs(clamped - current) < 1) {
+      this._clearAutoplayTimer();
+      return;
+    }
+
+    const from = this._getCurrentIndex();
+    const count = this._originalCount || 0;
+    // non-infinite は終端で止まる位置（最後のページの端数）を考慮
+    let to;
+    if (slides) {
+      to = this._toSlideIndex(this._getNearestSlideIndex(slides, clamped));
+    } else if (this.options.infinite) {
+      to = (((from + amount * direction) % count) + count) % count;
+    } else {
+      to = Math.min(count - 1, Math.max(0, Math.round(clamped / step)));
+    }
+    this._emit('beforeChange', { from, to, direction: direction > 0 ? 'next' : 'prev' });
+
+    this._scrollToPos(clamped, behavior);
+    return to;
+  }
+
+  _setupAutoplay() {
+    if (!this.options.autoplay || !this.viewport) return;
+
+    // 進行方向（pingpong で端に達すると反転）
+    this._autoplayDir = this.options.autoplayDirection === 'prev' ? -1 : 1;
+
+    // continuous はスナップを無効にして一定速度でスクロール
+    this.root.classList.toggle('ofcarousel--continuous', this._isContinuous());
+
+    // 一時停止の理由: 'hover' / 'focus' / 'visibility' / 'user' / 'reduced-motion' / 'drag' / 'end'
+    // すべての理由が解消されたときだけ再開する
+    this._pauseReasons = new Set();
+
+    // pause() による停止はオプション変更でオートプレイを作り直しても維持
+    if (this._userAutoplay === 'pause') {
+      this._pauseReasons.add('user');
+    }
+
+    // 視差効果を減らす設定の場合は自動で開始しない（play() を呼んだ場合を除く）
+    if (window.matchMedia) {
+      this._reducedMotionQuery = window.matchMedia(REDUCED_MOTION_QUERY);
+      this._onReducedMotionChange = () => {
+        if (this._reducedMotionQuery.matches && this._userAutoplay !== 'play') {
+          this._addPauseReason('reduced-motion');
+        } else {
+          this._removePauseReason('reduced-motion');
+        }
+      };
+      this._reducedMotionQuery.addEventListener('change', this._onReducedMotionChange);
+      if (this._reducedMotionQuery.matches && this._userAutoplay !== 'play') {
+        this._pauseReasons.add('reduced-motion');
+      }
+    }
+
+    if (this.options.pauseOnHover) {
+      this._onMouseEnter = () => this._addPauseReason('hover');
+      this._onMouseLeave = () => this._removePauseReason('hover');
+      this.root.addEventListener('mouseenter', this._onMouseEnter);
+      this.root.addEventListener('mouseleave', this._onMouseLeave);
+    }
+
+    if (this.options.pauseOnFocus) {
+      this._onFocusIn = () => this._addPauseReason('focus');
+      this._onFocusOut = () => this._removePauseReason('focus');
+      this.root.addEventListener('focusin', this._onFocusIn);
+      this.root.addEventListener('focusout', this._onFocusOut);
+    }
+
+    if (this.options.pauseOnVisibility) {
+      this._onVisibilityChange = () => {
+        if (document.hidden) {
+          this._addPauseReason('visibility');
+        } else {
+          this._removePauseReason('visibility');
+        }
+      };
+      document.addEventListener('visibilitychange', this._onVisibilityChange);
+    }
+
+    if (this.options.autoplayButton) {
+      this._setupAutoplayButton();
+    }
+    if (this.options.autoplayProgress) {
+      this._setupAutoplayProgress();
+    }
+
+    this._autoplayRemaining = null;
+    this._setProgress(0);
+    // 初期化直後は無限ループの初期位置へのジャンプ前のため、スクロール位置ではなく記録済みのインデックスを使う
+    this._startAutoplayTimer(this._currentIndex || 0);
+  }
+
+  _setupAutoplayProgress() {
+    // 進捗は --ofc-progress（0〜1）で描画する装飾要素のため読み上げ対象から外す
+    const type = this.options.autoplayProgress === 'ring' ? 'ring' : 'bar';
+    const el = document.createElement('div');
+    el.className = `ofc-progress ofc-progress--${type}`;
+    el.setAttribute('aria-hidden', 'true');
+    el.innerHTML = type === 'ring'
+      ? '<svg viewBox="0 0 36 36"><circle class="ofc-progress-track" cx="18" cy="18" r="16" pathLength="1"></circle>' +
+        '<circle class="ofc-progress-value" cx="18" cy="18" r="16" pathLength="1"></circle></svg>'
+      : '<div class="ofc-progress-value"></div>';
+    // viewport の直後に配置
+    this.viewport.after(el);
+    this._progressEl = el;
+  }
+
+  _setupAutoplayButton() {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'ofc-nav ofc-autoplay-toggle';
+    btn.setAttribute('aria-controls', this._ensureId(this.track, 'track'));
+    this._onAutoplayButtonClick = () => {
+      if (this._isAutoplayStopped()) {
+        this.play();
+      } else {
+        this.pause();
+      }
+    };
+    btn.addEventListener('click', this._onAutoplayButtonClick);
+    this._autoplayButton = btn;
+
+    // .ofc-navs の先頭（なければルート要素の末尾）に配置
+    const navsContainer = this.root.querySelector('.ofc-navs');
+    if (navsContainer) {
+      navsContainer.insertBefore(btn, navsContainer.firstChild);
+    } else {
+      this.root.appendChild(btn);
+    }
+    this._updateAutoplayButton();
+  }
+
+  _updateAutoplayButton() {
+    const btn = this._autoplayButton;
+    if (!btn) return;
+    // ホバー・フォーカスによる一時的な停止ではなく、ユーザーの選択（再生 / 停止）を表示
+    const stopped = this._isAutoplayStopped();
+    btn.setAttribute('aria-pressed', stopped ? 'false' : 'true');
+    btn.setAttribute('aria-label', this._getLabel('autoplay'));
+    btn.textContent = stopped ? '▶' : '❚❚';
+    btn.classList.toggle('is-paused', stopped);
+  }
+
+  _isAutoplayStopped() {
+    const reasons = this._pauseReasons;
+    return !reasons || reasons.has('user') || reasons.has('reduced-motion') || reasons.has('end');
+  }
+
+  _teardownAutoplay() {
+    this._clearAutoplayTimer();
+    this._onMouseEnter && this.root.removeEventListener('mouseenter', this._onMouseEnter);
+    this._onMouseLeave && this.root.removeEventListener('mouseleave', this._onMouseLeave);
+    this._onFocusIn && this.root.removeEventListener('focusin', this._onFocusIn);
+    this._onFocusOut && this.root.removeEventListener('focusout', this._onFocusOut);
+    this._onVisibilityChange && document.removeEventListener('visibilitychange', this._onVisibilityChange);
+    this._onReducedMotionChange && this._reducedMotionQuery.removeEventListener('change', this._onReducedMotionChange);
+    if (this._autoplayButton) {
+      this._autoplayButton.removeEventListener('click', this._onAutoplayButtonClick);
+      this._autoplayButton.remove();
+    }
+    this._progressEl && this._progressEl.remove();
+    this._progressEl = null;
+    this._autoplayRemaining = null;
+    this.root.classList.remove('ofcarousel--continuous', 'ofcarousel--progress');
+    this._onMouseEnter = this._onMouseLeave = null;
+    this._onFocusIn = this._onFocusOut = null;
+    this._onVisibilityChange = null;
+    this._onReducedMotionChange = this._reducedMotionQuery = null;
+    this._autoplayButton = this._onAutoplayButtonClick = null;
+    this._pauseReasons = null;
+  }
+
+  _addPauseReason(reason) {
+    if (this._pauseReasons.has(reason)) return;
+    const wasRunning = this._pauseReasons.size === 0;
+    this._pauseReasons.add(reason);
+    this._clearAutoplayTimer();
+    this._updateAutoplayButton();
+    if (wasRunning) {
+      this._emit('autoplay:pause', { reason });
+    }
+  }
+
+  _removePauseReason(reason) {
+    if (!this._pauseReasons.delete(reason)) return;
+    this._startAutoplayTimer();
+    this._updateAutoplayButton();
+    if (this._pauseReasons.size === 0) {
+      this._emit('autoplay:resume', { reason });
+    }
+  }
 
-    // 端に達した non-infinite のときは停止
-    if (!this.options.infinite && Math.abs(clamped - this.viewport.scrollLeft) < 1) {
-      this._clearAutoplayTimer();
+  /**
+   * オートプレイのタイマーを開始（一時停止中の残り時間があれば続きから）
+   * @param {number} [index] 表示時間を決めるスライド（省略時は現在のスライド）
+   */
+  _startAutoplayTimer(index) {
+    if (!this.options.autoplay) return;
+    if (this._pauseReasons && this._pauseReasons.size > 0) return;
+    this._clearAutoplayTimer();
+
+    if (this._isContinuous()) {
+      this._startMarquee();
       return;
     }
 
-    this.viewport.scrollTo({ left: clamped, behavior });
+    if (this._autoplayRemaining === null || this._autoplayRemaining === undefined) {
+      this._autoplayDuration = this._getSlideDuration(index === undefined ? this._getCurrentIndex() : index);
+      this._autoplayRemaining = this._autoplayDuration;
+    }
+    this._autoplayEndsAt = performance.now() + this._autoplayRemaining;
+
+    this._autoplayTimer = setTimeout(() => {
+      this._autoplayTimer = null;
+      this._autoplayRemaining = null;
+      const to = this._advanceAutoplay();
+      if (to === undefined) return;
+      this._setProgress(0);
+      this._startAutoplayTimer(to);
+    }, this._autoplayRemaining);
+    this._trackProgress();
   }
 
-  _setupAutoplay() {
-    if (!this.options.autoplay || !this.viewport) return;
+  _clearAutoplayTimer() {
+    if (this._autoplayTimer) {
+      clearTimeout(this._autoplayTimer);
+      this._autoplayTimer = null;
+      // 再開時に続きから進められるよう残り時間を記録し、進捗をその位置で止める
+      this._autoplayRemaining = Math.max(0, this._autoplayEndsAt - performance.now());
+      this._setProgress(1 - this._autoplayRemaining / this._autoplayDuration);
+    }
+    cancelAnimationFrame(this._progressFrame);
+    if (this._marqueeFrame) {
+      cancelAnimationFrame(this._marqueeFrame);
+      this._marqueeFrame = null;
+    }
+  }
 
-    this._pauseReasons = new Set();
+  _isContinuous() {
+    // effect ではスクロールしないため常に step
+    return this.options.autoplayMode === 'continuous' && !this._isStacked();
+  }
 
-    if (this.options.pauseOnHover) {
-      this._onMouseEnter = () => {
-        this._pauseReasons.add('hover');
-        this._clearAutoplayTimer();
-      };
-      this._onMouseLeave = () => {
-        this._pauseReasons.delete('hover');
-        this._startAutoplayTimer();
-      };
-      this.root.addEventListener('mouseenter', this._onMouseEnter);
-      this.root.addEventListener('mouseleave', this._onMouseLeave);
+  _advanceAutoplay() {
+    // 次に表示するスライドへ移動し、移動先のインデックスを返す（停止した場合は undefined）
+    const dir = this._autoplayDir;
+    if (!this.options.infinite) {
+      const atEdge = dir > 0 ? this.isAtEnd() : this.isAtStart();
+      if (atEdge) {
+        switch (this.options.autoplayEnd) {
+          case 'rewind':
+            return this._scrollToIndex(dir > 0 ? 0 : this._originalCount - 1, this.options.autoplayRewind);
+          case 'pingpong':
+            this._autoplayDir = -dir;
+            return this._scrollByStep(-dir);
+          default:
+            this._endAutoplay();
+            return undefined;
+        }
+      }
     }
+    return this._scrollByStep(dir);
+  }
 
-    if (this.options.pauseOnFocus) {
-      this._onFocusIn = () => {
-        this._pauseReasons.add('focus');
-        this._clearAutoplayTimer();
-      };
-      this._onFocusOut = () => {
-        this._pauseReasons.delete('focus');
-        this._startAutoplayTimer();
-      };
-      this.root.addEventListener('focusin', this._onFocusIn);
-      this.root.addEventListener('focusout', this._onFocusOut);
-    }
+  _startMarquee() {
+    // 一定速度（autoplaySpeed px/秒）でスクロールし続ける
+    // 小数の位置を保持して、1フレームあたり 1px 未満の移動も積み重ねる
+    let pos = this._getScrollPos();
+    let last = performance.now();
 
-    if (this.options.pauseOnVisibility) {
-      this._onVisibilityChange = () => {
-        if (document.hidden) {
-          this._pauseReasons.add('visibility');
-          this._clearAutoplayTimer();
-        } else {
-          this._pauseReasons.delete('visibility');
-          this._startAutoplayTimer();
+    const frame = (now) => {
+      // ユーザーのスクロールなどで実際の位置がずれた場合は追従
+      const actual = this._getScrollPos();
+      if (Math.abs(actual - pos) > 2) pos = actual;
+      pos += this._autoplayDir * this.options.autoplaySpeed * Math.max(0, now - last) / 1000;
+      last = now;
+
+      if (this.options.infinite) {
+        // 実スライド領域を1周したらクローン領域の同じ見た目の位置へ戻す
+        const { start: realStart, span } = this._getLoopBounds();
+        if (pos >= realStart + span) pos -= span;
+        if (pos < realStart) pos += span;
+      } else {
+        const max = this._getMaxScrollPos();
+        const atEdge = this._autoplayDir > 0 ? pos >= max : pos <= 0;
+        if (atEdge) {
+          switch (this.options.autoplayEnd) {
+            case 'rewind':
+              pos = this._autoplayDir > 0 ? 0 : max;
+              break;
+            case 'pingpong':
+              this._autoplayDir = -this._autoplayDir;
+              pos = Math.min(max, Math.max(0, pos));
+              break;
+            default:
+              this._setScrollPos(Math.min(max, Math.max(0, pos)));
+              this._marqueeFrame = null;
+              this._endAutoplay();
+              return;
+          }
         }
-      };
-      document.addEventListener('visibilitychange', this._onVisibilityChange);
-    }
+      }
 
-    this._startAutoplayTimer();
+      this._setScrollPos(pos);
+      this._marqueeFrame = requestAnimationFrame(frame);
+    };
+    this._marqueeFrame = requestAnimationFrame(frame);
   }
 
-  _startAutoplayTimer() {
-    if (!this.options.autoplay) return;
-    if (this._pauseReasons && this._pauseReasons.size > 0) return;
+  _endAutoplay() {
+    // autoplayEnd: 'stop' で端に達した場合は、play() かユーザーの操作で移動するまで再開しない
+    // （ホバー・フォーカスが外れても再開せず、再生ボタンは停止中の表示にする）
+    this._pauseReasons.add('end');
+    this._updateAutoplayButton();
+    this._emit('autoplay:end', { index: this._getCurrentIndex() });
+  }
+
+  _restartAutoplay(index) {
+    // ユーザー操作でスライドが変わった場合は、移動先のスライドの表示時間を最初から数え直す
+    if (!this.options.autoplay || !this._pauseReasons) return;
     this._clearAutoplayTimer();
-    this._autoplayTimer = setInterval(() => {
-      this._scrollByStep(1);
-    }, this.options.autoplayInterval);
+    this._autoplayRemaining = null;
+    this._setProgress(0);
+    // 端で止まったオートプレイはユーザーの操作で再開
+    if (this._pauseReasons.delete('end')) this._updateAutoplayButton();
+    this._startAutoplayTimer(index);
   }
 
-  _clearAutoplayTimer() {
-    if (this._autoplayTimer) {
-      clearInterval(this._autoplayTimer);
-      this._autoplayTimer = null;
+  _getSlideDuration(index) {
+    // data-ofc-duration（ms）が指定されたスライドはその時間だけ表示
+    const slide = this._getSlideElement(index);
+    const duration = slide ? parseFloat(slide.dataset.ofcDuration) : NaN;
+    return duration > 0 ? duration : this.options.autoplayInterval;
+  }
+
+  _trackProgress() {
+    // 現在の進捗から 1 まで、残り時間をかけて CSS のトランジションで進める（JS はスライドごとに1回だけ更新）
+    if (SUPPORTS_PROPERTY_TRANSITION) {
+      this._setProgress(1 - this._autoplayRemaining / this._autoplayDuration);
+      // 開始値を確定させてからトランジションを始める
+      getComputedStyle(this.root).getPropertyValue('--ofc-progress');
+      this._setProgress(1, this._autoplayRemaining);
+      return;
     }
+    // @property 未対応のブラウザでは毎フレーム更新
+    cancelAnimationFrame(this._progressFrame);
+    const update = () => {
+      if (!this._autoplayTimer) return;
+      const remaining = Math.max(0, this._autoplayEndsAt - performance.now());
+      this._setProgress(1 - remaining / this._autoplayDuration);
+      this._progressFrame = requestAnimationFrame(update);
+    };
+    update();
   }
 
-  _restartAutoplay() {
-    if (!this.options.autoplay) return;
-    if (this._pauseReasons && this._pauseReasons.size > 0) return;
-    this._startAutoplayTimer();
+  _setProgress(progress, duration = 0) {
+    // duration（ms）を指定すると、CSS のトランジションで progress まで進める
+    // トランジションは進めている間だけ有効にする（ルート要素に指定された transition を常に上書きしない）
+    if (SUPPORTS_PROPERTY_TRANSITION) {
+      this.root.style.setProperty('--ofc-progress-duration', `${Math.round(duration)}ms`);
+      this.root.classList.toggle('ofcarousel--progress', duration > 0);
+    }
+    this.root.style.setProperty('--ofc-progress', progress.toFixed(3));
   }
 
   _setupResizeHandler() {
@@ -886,60 +3128,68 @@ class OverflowCarousel {
     };
 
     window.addEventListener('resize', this._onResize, { passive: true });
+    this._watchMediaQueries();
+
+    // サイドバーやグリッドなど、ウィンドウサイズが変わらずにカルーセルの幅だけ変わる場合に対応
+    if (typeof ResizeObserver !== 'undefined') {
+      // 横方向は幅のみ（aspectAuto による高さ変更での再帰を防ぐ）、縦方向は高さも監視
+      const getObservedSize = () => (this._isVertical()
+        ? `${this.root.clientWidth}x${this.root.clientHeight}`
+        : `${this.root.clientWidth}`);
+      this._observedSize = getObservedSize();
+      this._resizeObserver = new ResizeObserver(() => {
+        const size = getObservedSize();
+        if (size === this._observedSize) return;
+        this._observedSize = size;
+        this._onResize();
+      });
+      this._resizeObserver.observe(this.root);
+    }
   }
 
-  _handleResize() {
-    if (!this.viewport || !this.track) return;
+  _watchMediaQueries() {
+    // メディアクエリのキーは画面幅以外（向き・ユーザー設定など）でも切り替わるため change を監視
+    this._unwatchMediaQueries();
+    const responsive = this._baseOptions.responsive;
+    if (!responsive || !window.matchMedia) return;
+
+    this._mediaQueryLists = Object.keys(responsive)
+      .filter(key => !NUMERIC_BREAKPOINT.test(key))
+      .map(query => {
+        const mql = window.matchMedia(query);
+        mql.addEventListener('change', this._onResize);
+        return mql;
+      });
+  }
 
-    // レスポンシブ設定を再評価
-    const prevItemsVisible = this.options.itemsVisible;
-    const prevPeekRatio = this.options.peekRatio;
-    this._applyResponsiveSettings();
-    
-    // itemsVisible が変更された場合は CSS変数を更新
-    if (prevItemsVisible !== this.options.itemsVisible) {
-      this.root.style.setProperty('--ofc-items-visible', this.options.itemsVisible.toString());
-      // itemsVisible changed during resize
-    }
+  _unwatchMediaQueries() {
+    if (!this._mediaQueryLists) return;
+    this._mediaQueryLists.forEach(mql => mql.removeEventListener('change', this._onResize));
+    this._mediaQueryLists = null;
+  }
+
+  _handleResize() {
+    if (this._destroyed || !this.viewport || !this.track) return;
 
     // 現在のスライドインデックスを保存
     const currentIndex = this._getCurrentIndex();
 
+    // レスポンシブ設定を再評価し、変わったオプションを反映
+    // （CSS変数、peek・gap の再計算、infinite・dots・autoplay・aspectAuto の切り替え）
+    const prevOptions = { ...this.options };
+    this._applyResponsiveSettings();
+    this._applyOptionChanges(prevOptions, currentIndex);
+
     // viewport幅を取得
     const viewportWidth = this.viewport.offsetWidth;
 
-    // peekPx を再計算（peekRatioまたはitemsVisibleが変わった場合に重要）
-    if (this.options.peekRatio !== undefined) {
-      // peekRatio: viewport幅と連立方程式で計算
-      const itemsVisible = this.options.itemsVisible;
-      const peekRatio = this.options.peekRatio;
-      const rawPeek = (viewportWidth * peekRatio) / (itemsVisible + 2 * peekRatio);
-      // 0.5px単位に丸める（サブピクセルの不一致を避ける）
-      this._peekPx = Math.round(rawPeek * 2) / 2;
-    } else {
-      // peek: 文字列値を使用（px, %, vw など）
-      this._peekPx = this._parsePixels(this.options.peek, viewportWidth);
-    }
-
-    // 計算された peek を CSS 変数に反映
-    this.root.style.setProperty('--ofc-peek', this._peekPx + 'px');
-    
-    // peek=0 の時は特別なクラスを追加（padding削除用）
-    if (this._peekPx === 0) {
-      this.root.classList.add('ofcarousel--no-peek');
-    } else {
-      this.root.classList.remove('ofcarousel--no-peek');
-    }
-
-    // gap値も再計算（%やvwの場合に対応）
-    this._gapPx = this._parsePixels(this.options.gap, viewportWidth);
-
-    // aspectAuto の場合、viewportの高さも再計算
-    if (this.options.aspectAuto) {
+    // aspectAuto の場合、viewportの高さも再計算（縦方向は対象外）
+    if (this.options.aspectAuto && !this._isVertical()) {
       const firstSlide = this.track.querySelector('.ofc-slide');
       if (firstSlide) {
         // スライドの内容がリフローした後の高さを取得
         requestAnimationFrame(() => {
+          if (this._destroyed) return;
           const slideHeight = firstSlide.offsetHeight;
           if (slideHeight > 0) {
             this.viewport.style.height = `${slideHeight}px`;
@@ -968,6 +3218,320 @@ class OverflowCarousel {
     }
 
     // Resize complete
+    this._emit('resize', { width: viewportWidth, itemsVisible: this.options.itemsVisible });
+  }
+
+  /**
+   * 次のスライドへ移動（ボタン・キーボードと同じくオートプレイを再始動）
+   */
+  next() {
+    this._restartAutoplay(this._scrollByStep(1));
+  }
+
+  /**
+   * 前のスライドへ移動
+   */
+  prev() {
+    this._restartAutoplay(this._scrollByStep(-1));
+  }
+
+  /**
+   * 指定インデックス（実スライド基準、0始まり）へ移動
+   * infinite: true の場合は範囲外のインデックスをループさせ、false の場合は端に丸める
+   * @param {number} index
+   * @param {{ animate?: boolean }} [options] animate: false で即座に移動
+   */
+  goTo(index, { animate = true } = {}) {
+    const count = this.getSlideCount();
+    if (!count) return;
+    const target = this.options.infinite
+      ? ((index % count) + count) % count
+      : index;
+    this._restartAutoplay(this._scrollToIndex(target, animate ? 'smooth' : 'instant'));
+  }
+
+  /**
+   * オートプレイを開始（pause() や視差効果を減らす設定による停止を解除）
+   * autoplay: false の場合は autoplay を有効にする
+   */
+  play() {
+    if (this._destroyed) return;
+    this._userAutoplay = 'play';
+    if (!this._pauseReasons) {
+      this.setOptions({ autoplay: true });
+      return;
+    }
+    this._removePauseReason('end');
+    this._removePauseReason('user');
+    this._removePauseReason('reduced-motion');
+  }
+
+  /**
+   * オートプレイを停止（play() を呼ぶまでホバー・フォーカスが外れても再開しない）
+   */
+  pause() {
+    if (this._destroyed) return;
+    this._userAutoplay = 'pause';
+    this._pauseReasons && this._addPauseReason('user');
+  }
+
+  /**
+   * オートプレイのタイマーが動作中か
+   * @returns {boolean}
+   */
+  isPlaying() {
+    return !!(this._autoplayTimer || this._marqueeFrame);
+  }
+
+  /**
+   * オートプレイが一時停止している理由
+   * @returns {string[]} 'hover' / 'focus' / 'visibility' / 'user' / 'reduced-motion' / 'drag' / 'end'
+   */
+  getPauseReasons() {
+    return this._pauseReasons ? Array.from(this._pauseReasons) : [];
+  }
+
+  /**
+   * 現在のスライドインデックス（実スライド基準、0始まり）
+   * @returns {number}
+   */
+  getCurrentIndex() {
+    return this._getCurrentIndex();
+  }
+
+  /**
+   * 実スライド数（クローンは含まない）
+   * @returns {number}
+   */
+  getSlideCount() {
+    return this._originalCount || 0;
+  }
+
+  /**
+   * 先頭に到達しているか（infinite: true では常に false）
+   * @returns {boolean}
+   */
+  isAtStart() {
+    if (this.options.infinite || !this.viewport) return false;
+    if (this._isStacked()) return (this._stackIndex || 0) === 0;
+    return this._getScrollPos() <= 1;
+  }
+
+  /**
+   * 終端に到達しているか（infinite: true では常に false）
+   * @returns {boolean}
+   */
+  isAtEnd() {
+    if (this.options.infinite || !this.viewport) return false;
+    if (this._isStacked()) return (this._stackIndex || 0) >= (this._originalCount || 0) - 1;
+    return this._getScrollPos() >= this._getMaxScrollPos() - 1;
+  }
+
+  /**
+   * オプションを実行時に変更（再生成は不要）
+   * infinite の切り替えでクローンを追加・削除し、dots の生成・削除、オートプレイの再始動を行う
+   * 表示中のスライドは維持される
+   * @param {Object} partial 変更するオプション
+   * @returns {OverflowCarousel}
+   */
+  setOptions(partial = {}) {
+    if (this._destroyed || !this.viewport || !this.track) return this;
+
+    const prevOptions = { ...this.options };
+    const currentIndex = this._getCurrentIndex();
+
+    Object.assign(this._baseOptions, partial);
+    if (partial.on) {
+      Object.keys(partial.on).forEach(name => this.on(name, partial.on[name]));
+    }
+
+    // responsive 設定がある場合はブレークポイントを再評価（ベース設定の変更を反映）
+    if ('responsive' in partial && this._onResize) {
+      this._watchMediaQueries();
+    }
+    if (this._baseOptions.responsive) {
+      this._applyResponsiveSettings();
+    } else {
+      Object.assign(this.options, this._baseOptions);
+    }
+
+    this._applyOptionChanges(prevOptions, currentIndex);
+    return this;
+  }
+
+  _applyOptionChanges(prevOptions, currentIndex) {
+    // 変更前後のオプションを比較し、変わった部分だけ DOM・リスナーに反映
+    const changed = key => prevOptions[key] !== this.options[key];
+
+    // items の有無（DOM のスライド ⇔ データから描画）は切り替えられない（destroy() して再生成する）
+    if (Array.isArray(prevOptions.items) !== this._isVirtual()) {
+      console.warn('OverflowCarousel: items cannot be set or unset after initialization, recreate the carousel instead');
+      this.options.items = prevOptions.items;
+      this._baseOptions.items = prevOptions.items;
+    }
+
+    // items・renderItem の変更はスライドを描画し直す（virtualBuffer は次の描画で反映）
+    if (this._isVirtual() && (changed('items') || changed('renderItem'))) {
+      this._clearVirtualSlides();
+      this._originalCount = this.options.items.length;
+    }
+
+    // CSS変数を更新
+    if (changed('itemsVisible')) {
+      this.root.style.setProperty('--ofc-items-visible', this.options.itemsVisible.toString());
+    }
+    if (changed('gap')) {
+      this.root.style.setProperty('--ofc-gap', this.options.gap);
+    }
+    if (changed('aspect')) {
+      this.root.style.setProperty('--ofc-aspect-ratio', this.options.aspect.toString());
+    }
+    if (changed('effectDuration')) {
+      this.root.style.setProperty('--ofc-effect-duration', `${this.options.effectDuration}ms`);
+    }
+
+    // orientation の切り替え（旧方向の余白・スクロール位置をリセット）
+    if (changed('orientation')) {
+      this._clearEdgeMargins();
+      this.root.classList.toggle('ofcarousel--vertical', this._isVertical());
+      this.viewport.scrollLeft = 0;
+      this.viewport.scrollTop = 0;
+      if (this._isVertical()) {
+        this.viewport.style.height = '';
+      } else {
+        this._setupAspectAutoHeight();
+      }
+    }
+
+    // align の切り替え（端の余白は下の infinite の処理で再計算）
+    if (changed('align')) {
+      this.root.classList.toggle('ofcarousel--center', this._isCentered());
+    }
+
+    // autoWidth の切り替え
+    if (changed('autoWidth')) {
+      this.root.classList.toggle('ofcarousel--auto-width', this._isAutoWidth());
+    }
+
+    // aspectAuto の切り替え
+    if (changed('aspectAuto')) {
+      if (this.options.aspectAuto) {
+        this.root.classList.add('ofcarousel--aspect-auto');
+        this._setupAspectAutoHeight();
+      } else {
+        this.root.classList.remove('ofcarousel--aspect-auto');
+        this.viewport.style.height = '';
+      }
+    }
+
+    // peek・gap のピクセル値を再計算
+    const viewportSize = this._getViewportSize();
+    this._updatePeek(viewportSize);
+    this._gapPx = this._parsePixels(this.options.gap, viewportSize);
+
+    // effect の切り替え（スクロール ⇔ 重ねて表示、infinite の状態もあわせて反映）
+    // 重ねて表示する effect ではクローン・端の余白を使わない（infinite は端でのループのみ）
+    if (changed('effect')) {
+      this._setEffect(prevOptions.effect);
+    } else if (this._isStacked()) {
+      this._clearEdgeMargins();
+    }
+    // infinite の切り替え（クローンとスクロールハンドラーを入れ替え）
+    else if (changed('infinite')) {
+      this._setInfiniteMode(this.options.infinite);
+    } else if (!this.options.infinite) {
+      // peek が変わった場合に備えて端の余白を再計算
+      this._applyEdgeMargins();
+    } else {
+      // itemsVisible・peek などの変更に合わせてクローン数を調整
+      this._updateClones();
+    }
+
+    // ドラッグの有効・無効
+    if (changed('draggable')) {
+      if (this.options.draggable) {
+        this._setupDrag();
+      } else {
+        this._teardownDrag();
+      }
+    }
+
+    // ホイール操作の有効・無効（true ⇔ 'step' の切り替えはリスナー内で判定）
+    if (changed('wheel')) {
+      if (this.options.wheel) {
+        this._setupWheel();
+      } else {
+        this._teardownWheel();
+      }
+    }
+
+    // asNavFor の有効・無効
+    if (changed('asNavFor')) {
+      if (this.options.asNavFor) {
+        this._setupNav();
+      } else {
+        this._teardownNav();
+      }
+    }
+
+    // lazy を無効にした場合は残りのスライドをすべて読み込む（有効にした場合は _updateVisibilityClasses() で読み込む）
+    if (changed('lazy') && !this.options.lazy) {
+      this._loadAllSlides();
+    }
+
+    // dots の生成・削除（ページ数が変わる場合も作り直す）
+    const pageKeys = [
+      'dots', 'dotsRender', 'dotsContainer', 'dotsDynamic', 'items',
+      'slidesToScroll', 'itemsVisible', 'infinite', 'align', 'autoWidth', 'effect'
+    ];
+    if (pageKeys.some(changed)) {
+      if (this.options.dots) {
+        this._rebuildDots();
+      } else {
+        this._removeDots();
+      }
+    }
+
+    // dots の有無・labels の変更を role とラベルに反映
+    this._updateA11yAttributes();
+
+    // オートプレイ関連の変更はリスナーとタイマーを作り直す
+    const autoplayKeys = [
+      'autoplay', 'autoplayInterval', 'pauseOnHover', 'pauseOnFocus', 'pauseOnVisibility',
+      'autoplayButton', 'autoplayProgress', 'autoplayMode', 'autoplaySpeed', 'autoplayDirection',
+      'autoplayEnd', 'autoplayRewind', 'effect'
+    ];
+    if (autoplayKeys.some(changed)) {
+      this._teardownAutoplay();
+      this._setupAutoplay();
+    }
+
+    // 表示中のスライドを維持
+    const clampedIndex = Math.min(Math.max(0, this._originalCount - 1), Math.max(0, currentIndex));
+    this._jumpToIndex(clampedIndex);
+    this._currentIndex = clampedIndex;
+    this._updateActiveDot(clampedIndex);
+    this._updateVisibilityClasses();
+  }
+
+  _setInfiniteMode(infinite) {
+    if (infinite) {
+      // non-infinite → infinite: 端の余白を戻してクローンを生成
+      this._onNonInfiniteScroll && this.viewport.removeEventListener('scroll', this._onNonInfiniteScroll);
+      clearTimeout(this._nonInfiniteScrollTimer);
+      this._onNonInfiniteScroll = null;
+      this._clearEdgeMargins();
+      if (this._originalCount) this._buildClones();
+      this._setupScrollJump();
+    } else {
+      // infinite → non-infinite: クローンを削除して端の余白を調整
+      this._onScroll && this.viewport.removeEventListener('scroll', this._onScroll);
+      clearTimeout(this._scrollTimer);
+      this._onScroll = null;
+      this._removeClones();
+      this._applyEdgeMargins();
+      this._setupNonInfiniteScroll();
+    }
   }
 
   _parsePixels(value, base = window.innerWidth) {
@@ -985,35 +3549,139 @@ class OverflowCarousel {
     return 0;
   }
 
+  /**
+   * インスタンスを破棄し、DOM を初期化前の状態に戻す
+   * 破棄後は同じ要素に対して新しいオプションで再初期化できる
+   */
   destroy() {
+    if (this._destroyed || !this.root) return;
+    this._emit('destroy');
+    this._destroyed = true;
+
     // イベントリスナーをクリーンアップ
     document.removeEventListener('keydown', this._keyboardListener);
+    this._prevBtn && this._prevBtn.removeEventListener('click', this._onPrevClick);
+    this._nextBtn && this._nextBtn.removeEventListener('click', this._onNextClick);
     this.viewport && this._onScroll && this.viewport.removeEventListener('scroll', this._onScroll);
     this.viewport && this._onNonInfiniteScroll && this.viewport.removeEventListener('scroll', this._onNonInfiniteScroll);
 
     this.viewport && this._onActiveScroll && this.viewport.removeEventListener('scroll', this._onActiveScroll);
-    this.root && this._onMouseEnter && this.root.removeEventListener('mouseenter', this._onMouseEnter);
-    this.root && this._onMouseLeave && this.root.removeEventListener('mouseleave', this._onMouseLeave);
-    this.root && this._onFocusIn && this.root.removeEventListener('focusin', this._onFocusIn);
-    this.root && this._onFocusOut && this.root.removeEventListener('focusout', this._onFocusOut);
-    this._onVisibilityChange && document.removeEventListener('visibilitychange', this._onVisibilityChange);
     this._onResize && window.removeEventListener('resize', this._onResize);
+    this._resizeObserver && this._resizeObserver.disconnect();
+    this._unwatchMediaQueries();
+
+    // オートプレイのリスナーとタイマーをクリア
+    this._teardownAutoplay();
 
     // タイマーをクリア
-    this._clearAutoplayTimer();
     clearTimeout(this._resizeTimer);
     clearTimeout(this._scrollTimer);
     clearTimeout(this._nonInfiniteScrollTimer);
+    clearTimeout(this._transitionTimer);
+    this._teardownSwipe();
+    this._teardownDrag();
+    this._teardownWheel();
+    this._teardownNav();
+
+    // 生成した DOM（クローン・dots・items で描画したスライド）を削除し、items の場合は track の元の要素を戻す
+    this._removeClones();
+    this._teardownVirtual();
+    this._removeDots();
+    this._liveRegion && this._liveRegion.remove();
+    this._liveRegion = null;
+
+    // クラス・インライン CSS 変数・margin・高さ・role・aria-* を初期化前の状態に戻す
+    this._restoreSnapshot();
+    if (this.viewport) {
+      this.viewport.scrollLeft = 0;
+      this.viewport.scrollTop = 0;
+    }
+
+    // on() で登録されたハンドラを解除
+    this._listeners && this._listeners.clear();
+
+    // レジストリから削除（同じ要素で再初期化できるように）
+    INSTANCES.delete(this.root);
+    delete this.root.overflowCarousel;
+  }
+
+  /**
+   * 要素に紐づくインスタンスを取得
+   * @param {string|HTMLElement} selectorOrElement
+   * @returns {OverflowCarousel|null}
+   */
+  static getInstance(selectorOrElement) {
+    const el = typeof selectorOrElement === 'string'
+      ? document.querySelector(selectorOrElement)
+      : selectorOrElement;
+    return (el && INSTANCES.get(el)) || null;
+  }
+
+  /**
+   * root 配下（root 自身を含む）の [data-carousel] 要素を初期化
+   * 初期化済みの要素はスキップする
+   * @param {ParentNode} [root=document]
+   * @returns {OverflowCarousel[]} 新しく初期化したインスタンス
+   */
+  static initAll(root = document) {
+    const elements = Array.from(root.querySelectorAll('[data-carousel]'));
+    if (root.matches && root.matches('[data-carousel]')) {
+      elements.unshift(root);
+    }
+
+    const created = [];
+    elements.forEach((el) => {
+      if (INSTANCES.has(el)) return;
+      let options;
+      try {
+        options = JSON.parse(el.dataset.carousel || '{}');
+      } catch (e) {
+        console.error('OverflowCarousel: invalid JSON in data-carousel', el, e);
+        return;
+      }
+      created.push(new OverflowCarousel(el, options));
+    });
+    return created;
+  }
+
+  /**
+   * root 配下の DOM 変更を監視し、[data-carousel] 要素を自動で初期化・破棄
+   * 後から挿入された要素は初期化し、DOM から取り除かれた要素は destroy() する
+   * @param {Node} [root=document.body]
+   * @returns {MutationObserver} 監視を止める場合は disconnect() を呼ぶ
+   */
+  static observe(root = document.body) {
+    OverflowCarousel.initAll(root);
+
+    const observer = new MutationObserver((mutations) => {
+      mutations.forEach((mutation) => {
+        mutation.removedNodes.forEach((node) => {
+          if (node.nodeType !== Node.ELEMENT_NODE) return;
+          const elements = Array.from(node.querySelectorAll('[data-carousel]'));
+          if (node.matches('[data-carousel]')) elements.unshift(node);
+          elements.forEach((el) => {
+            // 同じバッチ内で別の場所へ移動された場合は破棄しない
+            const instance = INSTANCES.get(el);
+            if (instance && !el.isConnected) instance.destroy();
+          });
+        });
+        mutation.addedNodes.forEach((node) => {
+          if (node.nodeType !== Node.ELEMENT_NODE || !node.isConnected) return;
+          OverflowCarousel.initAll(node);
+        });
+      });
+    });
+    observer.observe(root, { childList: true, subtree: true });
+    return observer;
   }
 }
 
 // data-carousel 属性を持つ要素を自動初期化
-document.addEventListener('DOMContentLoaded', () => {
-  document.querySelectorAll('[data-carousel]').forEach((el) => {
-    const options = JSON.parse(el.dataset.carousel || '{}');
-    new OverflowCarousel(el, options);
-  });
-});
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', () => OverflowCarousel.initAll());
+} else {
+  OverflowCarousel.initAll();
+}
 
 // グローバルに公開
 window.OverflowCarousel = OverflowCarousel;